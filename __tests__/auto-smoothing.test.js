@@ -0,0 +1,121 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import {
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	random,
+	trackFeature,
+} from "./helpers/courses.js";
+
+quietNotes();
+
+// a 400 m square loop, recorded with a meter of position noise
+const CORNERS = [
+	[0, 0],
+	[400, 0],
+	[400, 400],
+	[0, 400],
+];
+const noisySquare = () => {
+	const rnd = random(3);
+	return polyline([...CORNERS, CORNERS[0]]).map(([x, y]) => [
+		x + rnd(),
+		y + rnd(),
+		100,
+	]);
+};
+
+// how far the course misses each corner
+const cornerCuts = (xy) =>
+	CORNERS.map(([cx, cy]) =>
+		Math.min(...xy.map(([x, y]) => Math.hypot(x - cx, y - cy))),
+	);
+
+// RMS distance from the middle of the straights
+const straightness = (xy) => {
+	const offsets = [];
+	for (const [x, y] of xy) {
+		const d = Math.min(Math.abs(x), Math.abs(x - 400));
+		const e = Math.min(Math.abs(y), Math.abs(y - 400));
+		if (Math.min(d, e) < 20 && Math.max(d, e) > 50) {
+			offsets.push(Math.min(d, e));
+		}
+	}
+	return Math.sqrt(
+		offsets.reduce((sum, d) => sum + d ** 2, 0) / offsets.length,
+	);
+};
+
+describe("position auto-smoothing", () => {
+	test.each([1, 2])(
+		"smooths the straights and keeps the corners, with lAutoSmooth %d",
+		(lAutoSmooth) => {
+			const recorded = noisySquare();
+			const result = processGPX(trackFeature(recorded), {
+				lAutoSmooth,
+				isLoop: 1,
+			});
+			const smoothed = result.geometry.coordinates.map(lonLatToXY);
+			expect(straightness(smoothed)).toBeLessThan(straightness(recorded) / 3);
+			for (const cut of cornerCuts(smoothed)) {
+				expect(cut).toBeLessThan(1);
+			}
+		},
+	);
+
+	test("cuts the corners with the same smoothing everywhere", () => {
+		const result = processGPX(trackFeature(noisySquare()), {
+			lSmooth: 20,
+			isLoop: 1,
+		});
+		const smoothed = result.geometry.coordinates.map(lonLatToXY);
+		for (const cut of cornerCuts(smoothed)) {
+			expect(cut).toBeGreaterThan(5);
+		}
+	});
+});
+
+describe("altitude auto-smoothing", () => {
+	// a 2 km climb at 4%, recorded with a meter of altitude noise
+	const noisyClimb = () => {
+		const rnd = random(5);
+		return polyline([
+			[0, 0],
+			[2000, 0],
+		]).map(([x, y]) => [x, y, 100 + 0.04 * x + 2 * rnd()]);
+	};
+
+	// RMS altitude away from the 4% line
+	const roughness = (xyz) =>
+		Math.sqrt(
+			xyz.reduce((sum, [x, , z]) => sum + (z - 100 - 0.04 * x) ** 2, 0) /
+				xyz.length,
+		);
+
+	test("smooths the altitude, and anchorSF keeps the ends", () => {
+		const recorded = noisyClimb();
+		for (const anchorSF of [false, true]) {
+			const result = processGPX(trackFeature(recorded), {
+				zAutoSmooth: 1,
+				anchorSF,
+			});
+			const smoothed = result.geometry.coordinates.map((c) => [
+				...lonLatToXY(c),
+				c[2],
+			]);
+			const middle = smoothed.filter(([x]) => x > 800 && x < 1200);
+			expect(roughness(middle)).toBeLessThan(roughness(recorded) / 3);
+
+			const ends = [smoothed[0][2], smoothed.at(-1)[2]];
+			const recordedEnds = [recorded[0][2], recorded.at(-1)[2]];
+			for (const [i, z] of ends.entries()) {
+				if (anchorSF) {
+					expect(z).toBeCloseTo(recordedEnds[i], 3);
+				} else {
+					expect(Math.abs(z - recordedEnds[i])).toBeGreaterThan(1);
+				}
+			}
+		}
+	});
+});
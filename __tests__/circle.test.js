@@ -0,0 +1,79 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import {
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	random,
+	trackFeature,
+} from "./helpers/courses.js";
+
+const notes = quietNotes();
+
+// 200 m east to a U-turn of radius 30 m, recorded with half a meter of noise,
+// then 200 m back west
+const uTurn = () => {
+	const rnd = random(7);
+	const arc = [];
+	for (let k = 1; k < 30; k++) {
+		const a = -Math.PI / 2 + (Math.PI * k) / 30;
+		const r = 30 + rnd();
+		arc.push([r * Math.cos(a), 30 + r * Math.sin(a)]);
+	}
+	return [
+		...polyline([
+			[-200, 0],
+			[0, 0],
+		]),
+		...arc,
+		...polyline([
+			[0, 60],
+			[-200, 60],
+		]),
+	].map(([x, y]) => [x, y, 100]);
+};
+
+// the circle through three points: [x, y] of the center, and the radius
+const circleThrough = ([x1, y1], [x2, y2], [x3, y3]) => {
+	const d = 2 * (x1 * (y2 - y3) + x2 * (y3 - y1) + x3 * (y1 - y2));
+	const s1 = x1 ** 2 + y1 ** 2;
+	const s2 = x2 ** 2 + y2 ** 2;
+	const s3 = x3 ** 2 + y3 ** 2;
+	const cx = (s1 * (y2 - y3) + s2 * (y3 - y1) + s3 * (y1 - y2)) / d;
+	const cy = (s1 * (x3 - x2) + s2 * (x1 - x3) + s3 * (x2 - x1)) / d;
+	return [[cx, cy], Math.hypot(x1 - cx, y1 - cy)];
+};
+
+describe("circle", () => {
+	test("moves the points of a range onto the fitted circle", () => {
+		// the U-turn is from 200 m to 294 m along the course
+		const result = processGPX(trackFeature(uTurn()), { circle: [200, 294] });
+		const arc = result.geometry.coordinates
+			.map(lonLatToXY)
+			.filter(([x]) => x > 0.5);
+		expect(arc.length).toBeGreaterThan(20);
+
+		const n = arc.length;
+		const [[cx, cy], r] = circleThrough(
+			arc[Math.floor(n / 4)],
+			arc[Math.floor(n / 2)],
+			arc[Math.floor((3 * n) / 4)],
+		);
+		expect(r).toBeCloseTo(30, -1);
+		// the end of the range stays on the recorded course
+		for (const [x, y] of arc.slice(0, -1)) {
+			expect(Math.hypot(x - cx, y - cy)).toBeCloseTo(r, 1);
+		}
+		const fit = notes().find((line) => line.startsWith("circle 200 to 294"));
+		expect(fit).toMatch(/radius = 30\.\d meters/);
+	});
+
+	test("takes the ranges from circleStart and circleEnd", () => {
+		const pairs = processGPX(trackFeature(uTurn()), { circle: [200, 294] });
+		const lists = processGPX(trackFeature(uTurn()), {
+			circleStart: [200],
+			circleEnd: [294],
+		});
+		expect(lists.geometry.coordinates).toEqual(pairs.geometry.coordinates);
+	});
+});
@@ -0,0 +1,112 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import {
+	grades,
+	lapRecording,
+	lonLatToXY,
+	quietNotes,
+	xyToLonLat,
+} from "./helpers/courses.js";
+
+quietNotes();
+
+describe("start and finish circuits", () => {
+	// the recording itself has grades up to about 10% from altitude noise
+	const maxGrade = (feature) =>
+		Math.max(...grades(feature).map(({ grade }) => Math.abs(grade)));
+
+	test("finish circuits join the lead-in and the rest of the course smoothly", () => {
+		const recording = lapRecording();
+		const result = processGPX(recording, {
+			finishCircuits: 3,
+			finishCircuitDistance: 500,
+		});
+		const courseDistance = grades(result).pop().s;
+		const recordedDistance = grades(recording).pop().s;
+		expect(courseDistance).toBeGreaterThan(recordedDistance + 3000);
+		expect(maxGrade(result)).toBeLessThan(0.15);
+	});
+
+	test("start circuits join the rest of the course smoothly", () => {
+		const result = processGPX(lapRecording(), {
+			startCircuits: 3,
+			startCircuitDistance: 1900,
+		});
+		expect(maxGrade(result)).toBeLessThan(0.15);
+	});
+
+	test("repeated circuits pass the circuit start at the same altitude", () => {
+		const result = processGPX(lapRecording(), {
+			finishCircuits: 3,
+			finishCircuitDistance: 500,
+		});
+		// passes of the circuit start, at 500 m along the course: one for each
+		// circuit, one for the end of the last circuit, then the lead-out
+		const passes = [];
+		for (const [i, coord] of result.geometry.coordinates.entries()) {
+			const [x, y] = lonLatToXY(coord);
+			const d = Math.hypot(x - 500, y);
+			if (d > 3) continue;
+			const pass = passes[passes.length - 1];
+			if (pass && i - pass.i < 10) {
+				if (d < pass.d) Object.assign(pass, { i, d, ele: coord[2] });
+			} else {
+				passes.push({ i, d, ele: coord[2] });
+			}
+		}
+		expect(passes.length).toBe(5);
+		for (const pass of passes.slice(1, 4)) {
+			expect(pass.ele).toBeCloseTo(passes[0].ele, 1);
+		}
+	});
+});
+
+describe("circuitFromPosition", () => {
+	// a position as lat,lon
+	const position = (x, y) => {
+		const [lon, lat] = xyToLonLat(x, y);
+		return `${lat},${lon}`;
+	};
+
+	test("extracts one lap from the first pass of the position to the next", () => {
+		const result = processGPX(lapRecording(), {
+			circuitFromPosition: position(500, 0),
+		});
+		expect(grades(result).at(-1).s).toBeCloseTo(1600, -1);
+	});
+
+	test("ends the lap at circuitToPosition, near the start", () => {
+		const lap = processGPX(lapRecording(), {
+			circuitFromPosition: position(500, 0),
+		});
+		const result = processGPX(lapRecording(), {
+			circuitFromPosition: position(500, 0),
+			circuitToPosition: position(480, 0),
+		});
+		// the loop closes from the last point back to the first
+		const coords = result.geometry.coordinates;
+		const [x1, y1] = lonLatToXY(coords.at(-1));
+		const [x2, y2] = lonLatToXY(coords[0]);
+		const closure = Math.hypot(x2 - x1, y2 - y1);
+		expect(closure).toBeCloseTo(20, 0);
+		const dLap = grades(lap).at(-1).s;
+		expect(Math.abs(grades(result).at(-1).s + closure - dLap)).toBeLessThan(10);
+	});
+
+	test("rejects a section which doesn't complete a lap", () => {
+		expect(() =>
+			processGPX(lapRecording(), {
+				circuitFromPosition: position(500, 0),
+				circuitToPosition: position(700, 200),
+			}),
+		).toThrow(/doesn't complete a lap/);
+	});
+
+	test("rejects a position the course doesn't return to", () => {
+		expect(() =>
+			processGPX(lapRecording(), {
+				circuitFromPosition: position(900, 0),
+			}),
+		).toThrow(/no complete lap found/);
+	});
+});
@@ -0,0 +1,127 @@
+import fs from "node:fs";
+import { describe, expect, jest, test } from "@jest/globals";
+import { parseArgs, processGpxFile } from "../process-cli.js";
+import {
+	polyline,
+	quietNotes,
+	tempFiles,
+	writeGPX,
+} from "./helpers/courses.js";
+
+quietNotes();
+const tempFile = tempFiles();
+
+// a road which turns back across itself at right angles, 500 m from the start
+// and 2500 m from the start, rising gently
+const CORNERS = [
+	[0, 0],
+	[1000, 0],
+	[1000, 500],
+	[500, 500],
+	[500, -500],
+	[1500, -500],
+];
+const crossingCourse = () => {
+	const xy = polyline(CORNERS);
+	let s = 0;
+	return xy.map(([x, y], i) => {
+		if (i > 0) s += Math.hypot(x - xy[i - 1][0], y - xy[i - 1][1]);
+		return [x, y, 100 + 0.0002 * s];
+	});
+};
+
+const processCrossings = async (name, ...args) => {
+	const input = tempFile(`${name}.gpx`);
+	const output = tempFile(`${name}_processed.gpx`);
+	writeGPX(input, [{ name, segments: [crossingCourse()] }]);
+	const options = await parseArgs([
+		input,
+		"--fixCrossings",
+		...args,
+		"-o",
+		output,
+	]);
+	return processGpxFile(input, options);
+};
+
+const readCSV = (file) => {
+	const [header, ...rows] = fs.readFileSync(file, "utf8").trim().split("\n");
+	const keys = header.split(",");
+	return rows.map((row) =>
+		Object.fromEntries(row.split(",").map((v, i) => [keys[i], Number(v)])),
+	);
+};
+
+describe("saveCrossingsCSV", () => {
+	test("writes the crossings found to a CSV next to the output", async () => {
+		const { crossingsFile } = await processCrossings(
+			"crossing",
+			"--saveCrossingsCSV",
+		);
+		expect(crossingsFile).toBe(tempFile("crossing_processed_crossings.csv"));
+		const crossings = readCSV(crossingsFile);
+		expect(crossings).toHaveLength(1);
+		const [crossing] = crossings;
+		expect(crossing.distance1).toBeCloseTo(500, -1);
+		expect(crossing.distance2).toBeCloseTo(2500, -1);
+		expect(crossing.angle).toBeCloseTo(90, 0);
+		// the passes were 0.4 m apart: they're set level
+		expect(crossing.ele2Original - crossing.ele1Original).toBeCloseTo(0.4, 1);
+		expect(crossing.ele1).toBeCloseTo(crossing.ele2, 6);
+	});
+
+	test("isn't written without fixCrossings", async () => {
+		const input = tempFile("plain.gpx");
+		writeGPX(input, [{ name: "plain", segments: [crossingCourse()] }]);
+		const options = await parseArgs([
+			input,
+			"--saveCrossingsCSV",
+			"-o",
+			tempFile("plain_processed.gpx"),
+		]);
+		const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+		const { crossingsFile } = await processGpxFile(input, options);
+		expect(warn).toHaveBeenCalledWith(
+			"Warning: saveCrossingsCSV requires fixCrossings",
+		);
+		warn.mockRestore();
+		expect(crossingsFile).toBeUndefined();
+		expect(fs.existsSync(tempFile("plain_processed_crossings.csv"))).toBe(
+			false,
+		);
+	});
+});
+
+describe("saveSimplifiedCourse", () => {
+	test("writes the course searched for crossings next to the output", async () => {
+		const { simplifiedFile, processedRoute } = await processCrossings(
+			"simplified",
+			"--saveSimplifiedCourse",
+		);
+		expect(simplifiedFile).toBe(
+			tempFile("simplified_processed_simplified.gpx"),
+		);
+		const gpx = fs.readFileSync(simplifiedFile, "utf8");
+		expect(gpx).toMatch(/<name>simplified \(simplified\)<\/name>/);
+		// the first two points, one at each corner and the finish
+		expect(gpx.match(/<trkpt /g)).toHaveLength(CORNERS.length + 1);
+		expect(processedRoute.geometry.coordinates.length).toBeGreaterThan(
+			10 * CORNERS.length,
+		);
+	});
+
+	test("is written as CSV with a CSV output", async () => {
+		const input = tempFile("csv.gpx");
+		writeGPX(input, [{ name: "csv", segments: [crossingCourse()] }]);
+		const options = await parseArgs([
+			input,
+			"--fixCrossings",
+			"--saveSimplifiedCourse",
+			"-o",
+			tempFile("csv_processed.csv"),
+		]);
+		const { simplifiedFile } = await processGpxFile(input, options);
+		expect(simplifiedFile).toBe(tempFile("csv_processed_simplified.csv"));
+		expect(readCSV(simplifiedFile)).toHaveLength(CORNERS.length + 1);
+	});
+});
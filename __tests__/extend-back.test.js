@@ -0,0 +1,68 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import {
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	trackFeature,
+} from "./helpers/courses.js";
+
+const notes = quietNotes();
+
+// a 1 km road east along x
+const ROAD = polyline([
+	[0, 0],
+	[1000, 0],
+]).map(([x, y]) => [x, y, 100]);
+const course = (feature) => feature.geometry.coordinates.map(lonLatToXY);
+
+// the points riding west in the lane at the start, before the turnaround
+const leadIn = (xy, laneShift) => {
+	const i = xy.findIndex(([, y]) => Math.abs(y - laneShift) > 0.05);
+	return xy.slice(0, i);
+};
+
+describe("extendBack", () => {
+	test("starts the course back along the road, in the other lane", () => {
+		const xy = course(
+			processGPX(trackFeature(ROAD), {
+				extendBack: 200,
+				rTurnaround: 10,
+				laneShift: 3,
+			}),
+		);
+		const lead = leadIn(xy, 3);
+		expect(lead[0][0]).toBeCloseTo(200, -1);
+		expect(lead[0][0] - lead.at(-1)[0]).toBeCloseTo(200, -1);
+		// then turns around past the start line, and rides the course to the finish
+		expect(Math.min(...xy.map(([x]) => x))).toBeLessThan(-10);
+		expect(xy.at(-1)[0]).toBeCloseTo(1000, -1);
+		expect(xy.at(-1)[1]).toBeCloseTo(0, 1);
+	});
+
+	test("leads in on the return leg of an out-and-back", () => {
+		const xy = course(
+			processGPX(trackFeature(ROAD), {
+				extendBack: 200,
+				outAndBack: true,
+				laneShift: 3,
+			}),
+		);
+		const lead = leadIn(xy, 3);
+		expect(lead[0][0] - lead.at(-1)[0]).toBeCloseTo(200, -1);
+		// the course still finishes on the return leg, at the start line
+		expect(xy.at(-1)[0]).toBeCloseTo(lead.at(-1)[0], 0);
+		expect(xy.at(-1)[1]).toBeCloseTo(3, 1);
+	});
+
+	test("is ignored for a course closed into a lap", () => {
+		const options = { extendBack: 200, outAndBackLap: true, laneShift: 3 };
+		const xy = course(processGPX(trackFeature(ROAD), options));
+		expect(notes()).toContain(
+			"WARNING: ignoring -extendBack for a loop or lap course",
+		);
+		expect(options.isLoop).toBe(1);
+		expect(Math.max(...xy.map(([x]) => x))).toBeLessThan(1020);
+		expect(xy[0][0]).toBeLessThan(10);
+	});
+});
@@ -0,0 +1,51 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import {
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	trackFeature,
+} from "./helpers/courses.js";
+
+quietNotes();
+
+// a 1 km road along x climbing at 4%
+const SLOPE = polyline([
+	[0, 0],
+	[1000, 0],
+]).map(([x, y]) => [x, y, 100 + 0.04 * x]);
+
+// x and altitude of each point
+const profile = (feature) =>
+	feature.geometry.coordinates.map((c) => [lonLatToXY(c)[0], c[2]]);
+
+describe("flatten", () => {
+	test("holds the range flat up to its ends", () => {
+		const result = processGPX(trackFeature(SLOPE), { flatten: [400, 600] });
+		const inRange = profile(result).filter(([x]) => x > 401 && x < 599);
+		expect(inRange.length).toBeGreaterThan(30);
+		for (const [, z] of inRange) {
+			// the average of the altitudes 20 m outside the range
+			expect(z).toBeCloseTo(120, 1);
+		}
+	});
+
+	test("keeps the profile away from the range", () => {
+		const result = processGPX(trackFeature(SLOPE), { flatten: [400, 600] });
+		for (const [x, z] of profile(result)) {
+			if (x < 379 || x > 621) {
+				expect(z).toBeCloseTo(100 + 0.04 * x, 1);
+			}
+		}
+	});
+
+	test("grades linearly across the range with flattenInterpolate", () => {
+		const result = processGPX(trackFeature(SLOPE), {
+			flatten: [400, 600],
+			flattenInterpolate: true,
+		});
+		for (const [x, z] of profile(result)) {
+			expect(z).toBeCloseTo(100 + 0.04 * x, 1);
+		}
+	});
+});
@@ -0,0 +1,68 @@
+import fs from "node:fs";
+import { describe, expect, test } from "@jest/globals";
+import { addTrackSegmentNames } from "../js/gpx-export.js";
+import { parseArgs, processGpxFile } from "../process-cli.js";
+import {
+	polyline,
+	quietNotes,
+	tempFiles,
+	writeGPX,
+} from "./helpers/courses.js";
+
+quietNotes();
+const tempFile = tempFiles();
+
+const GPX =
+	'<gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1">' +
+	"<trk><trkseg><trkpt/></trkseg><trkseg><trkpt/></trkseg></trk></gpx>";
+
+describe("addTrackSegmentNames", () => {
+	test("names segments in the declared extensions namespace", () => {
+		const gpx = addTrackSegmentNames(GPX, ["", "Climb <1> & Co"]);
+		const prefix = gpx.match(/xmlns:(\w+)="[^"]+"/)?.[1];
+		expect(prefix).toBeDefined();
+		expect(gpx).toContain(
+			`<trkseg><trkpt/><extensions><${prefix}:name>Climb &lt;1&gt; &amp; Co</${prefix}:name></extensions></trkseg></trk>`,
+		);
+		expect(gpx.match(/<extensions>/g)).toHaveLength(1);
+	});
+
+	test("leaves a GPX without named segments unchanged", () => {
+		expect(addTrackSegmentNames(GPX, ["", ""])).toBe(GPX);
+	});
+});
+
+describe("startTime", () => {
+	test("writes a time on each track point, rising steadily from the start", async () => {
+		const input = tempFile("timed.gpx");
+		const output = tempFile("timed_processed.gpx");
+		// a flat, straight 2 km road, ridden at a steady speed
+		const road = polyline([
+			[0, 0],
+			[2000, 0],
+		]).map(([x, y]) => [x, y, 100]);
+		writeGPX(input, [{ name: "Timed", segments: [road] }]);
+		const options = await parseArgs([
+			input,
+			"--startTime",
+			"2026-05-01T08:00:00Z",
+			"-o",
+			output,
+		]);
+		await processGpxFile(input, options);
+
+		const trackPoints = fs
+			.readFileSync(output, "utf8")
+			.match(/<trkpt[\s\S]*?<\/trkpt>/g);
+		const times = trackPoints.map((trkpt) =>
+			Date.parse(trkpt.match(/<time>([^<]+)<\/time>/)?.[1]),
+		);
+		expect(times.length).toBeGreaterThan(100);
+		expect(times[0]).toBe(Date.parse("2026-05-01T08:00:00Z"));
+		const gaps = times.slice(1).map((t, i) => t - times[i]);
+		for (const gap of gaps) {
+			expect(gap).toBeGreaterThan(0);
+			expect(Math.abs(gap - gaps[0])).toBeLessThanOrEqual(2);
+		}
+	});
+});
@@ -0,0 +1,112 @@
+import fs from "node:fs";
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import { parseArgs, processGpxFile } from "../process-cli.js";
+import {
+	lonLatToXY,
+	quietNotes,
+	tempFiles,
+	trackFeature,
+	writeGPX,
+} from "./helpers/courses.js";
+
+quietNotes();
+const tempFile = tempFiles();
+
+// flat, a 6% climb, flat, a 6% descent and flat, 500 m each, along x
+const GRADES = [0, 0.06, 0, -0.06, 0];
+const hills = () => {
+	const points = [];
+	let ele = 100;
+	for (let x = 0; x <= 2500; x += 5) {
+		points.push([x, 0, ele]);
+		ele += 5 * GRADES[Math.min(Math.floor(x / 500), 4)];
+	}
+	return points;
+};
+
+describe("gradient signs", () => {
+	test("mark climbs, descents and flat runs", () => {
+		const result = processGPX(trackFeature(hills()), { addGradientSigns: 1 });
+		const signs = result.properties.coordinateProperties.gradientSigns;
+		const signAt = (x) => {
+			const i = result.geometry.coordinates.findIndex(
+				(coord) => lonLatToXY(coord)[0] >= x,
+			);
+			return signs[i];
+		};
+		expect([250, 750, 1250, 1750, 2250].map(signAt)).toEqual([0, 1, 0, -1, 0]);
+
+		const { climb, descent, flat } = result.properties.gradientSummary;
+		expect(climb.count).toBe(1);
+		expect(descent.count).toBe(1);
+		expect(flat.count).toBe(3);
+		expect(climb.distance).toBeGreaterThan(450);
+		expect(climb.distance).toBeLessThan(550);
+		expect(climb.elevation).toBeCloseTo(30, -1);
+		expect(descent.elevation).toBeCloseTo(-30, -1);
+	});
+
+	test("keep a climb going above the threshold less the hysteresis", () => {
+		// 3% then 1.5%, then flat: the climb continues through the 1.5%
+		const points = [];
+		let ele = 100;
+		for (let x = 0; x <= 1500; x += 5) {
+			points.push([x, 0, ele]);
+			ele += 5 * (x < 500 ? 0.03 : x < 1000 ? 0.015 : 0);
+		}
+		const result = processGPX(trackFeature(points), { addGradientSigns: 1 });
+		const { climb, flat } = result.properties.gradientSummary;
+		expect(climb.count).toBe(1);
+		expect(climb.distance).toBeGreaterThan(900);
+		expect(flat.count).toBe(1);
+
+		// without hysteresis the 1.5% is flat
+		const strict = processGPX(trackFeature(points), {
+			addGradientSigns: 1,
+			gradientSignHysteresis: 0,
+		});
+		expect(strict.properties.gradientSummary.climb.distance).toBeLessThan(600);
+	});
+
+	test("write the signs and the summary to the GPX and a summary CSV", async () => {
+		const input = tempFile("hills.gpx");
+		const output = tempFile("hills_processed.gpx");
+		writeGPX(input, [{ name: "Hills", segments: [hills()] }]);
+		const options = await parseArgs([
+			input,
+			"--addGradientSigns",
+			"1",
+			"-o",
+			output,
+		]);
+		const { gradientSummaryFile } = await processGpxFile(input, options);
+
+		const gpx = fs.readFileSync(output, "utf8");
+		const prefix = gpx.match(/xmlns:(\w+)="[^"]+"/)[1];
+		expect(gpx).toContain(`<${prefix}:gradientSign>1</${prefix}:gradientSign>`);
+		expect(gpx).toContain(
+			`<${prefix}:gradientSign>-1</${prefix}:gradientSign>`,
+		);
+		expect(gpx).toMatch(
+			new RegExp(`<${prefix}:gradientSummary>\\s*<${prefix}:climb count="1"`),
+		);
+		expect(gpx.indexOf("gradientSummary>")).toBeLessThan(
+			gpx.indexOf("<trkseg>"),
+		);
+
+		expect(gradientSummaryFile).toBe(
+			tempFile("hills_processed_gradientSummary.csv"),
+		);
+		const rows = fs
+			.readFileSync(gradientSummaryFile, "utf8")
+			.trim()
+			.split("\n");
+		expect(rows[0]).toBe("type,count,distance,elevation");
+		expect(rows.slice(1).map((row) => row.split(",").slice(0, 2))).toEqual([
+			["climb", "1"],
+			["descent", "1"],
+			["flat", "3"],
+		]);
+	});
+});
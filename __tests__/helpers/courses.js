@@ -0,0 +1,192 @@
+/**
+ * Synthetic courses for behaviour tests, laid out in meters east (x) and north
+ * (y) of an origin, and helpers to measure processed courses
+ */
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterAll, beforeAll, beforeEach, jest } from "@jest/globals";
+
+const LAT0 = 45;
+const LON0 = -122;
+const M2LAT = 1 / 111195;
+const M2LON = M2LAT / Math.cos((LAT0 * Math.PI) / 180);
+
+/**
+ * Convert local coordinates in meters to [lon, lat]
+ * @param {number} x - Meters east of the origin
+ * @param {number} y - Meters north of the origin
+ * @returns {Array} [lon, lat]
+ */
+export function xyToLonLat(x, y) {
+	return [LON0 + x * M2LON, LAT0 + y * M2LAT];
+}
+
+/**
+ * Convert a coordinate to local coordinates in meters
+ * @param {Array} coord - [lon, lat, ele]
+ * @returns {Array} [x, y]
+ */
+export function lonLatToXY(coord) {
+	return [(coord[0] - LON0) / M2LON, (coord[1] - LAT0) / M2LAT];
+}
+
+/**
+ * Pseudo-random numbers from -0.5 to 0.5, the same on every run
+ * @param {number} seed - Seed
+ * @returns {Function} Random number generator
+ */
+export function random(seed = 7) {
+	let state = seed;
+	return () => {
+		state = (state * 16807) % 2147483647;
+		return state / 2147483647 - 0.5;
+	};
+}
+
+/**
+ * Build a LineString track feature from local points
+ * @param {Array} points - Array of [x, y, ele]
+ * @param {string} name - Track name
+ * @returns {Object} GeoJSON feature
+ */
+export function trackFeature(points, name = "Test Course") {
+	return {
+		type: "Feature",
+		geometry: {
+			type: "LineString",
+			coordinates: points.map(([x, y, ele]) => [...xyToLonLat(x, y), ele]),
+		},
+		properties: { name },
+	};
+}
+
+/**
+ * Write a GPX file of tracks of local points
+ * @param {string} file - Output file
+ * @param {Array} tracks - Array of {name, segments}, each segment an array of
+ *   [x, y, ele]
+ */
+export function writeGPX(file, tracks) {
+	const trkpt = ([x, y, ele]) => {
+		const [lon, lat] = xyToLonLat(x, y);
+		return `<trkpt lat="${lat}" lon="${lon}"><ele>${ele}</ele></trkpt>`;
+	};
+	const trk = ({ name, segments }) =>
+		`<trk><name>${name}</name>${segments
+			.map((segment) => `<trkseg>${segment.map(trkpt).join("")}</trkseg>`)
+			.join("")}</trk>`;
+	fs.writeFileSync(
+		file,
+		`<?xml version="1.0"?>
+<gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1" creator="test">${tracks.map(trk).join("")}</gpx>
+`,
+	);
+}
+
+/**
+ * A temporary directory for the tests of a file, removed after them
+ * @returns {Function} Path of a file in the directory
+ */
+export function tempFiles() {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "processGPX-"));
+	afterAll(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+	return (name) => path.join(dir, name);
+}
+
+/**
+ * Points along straight lines between corners, every spacing meters
+ * @param {Array} corners - Array of [x, y]
+ * @param {number} spacing - Point spacing in meters
+ * @returns {Array} Array of [x, y]
+ */
+export function polyline(corners, spacing = 5) {
+	const points = [];
+	for (let k = 0; k < corners.length - 1; k++) {
+		const [x1, y1] = corners[k];
+		const [x2, y2] = corners[k + 1];
+		const n = Math.round(Math.hypot(x2 - x1, y2 - y1) / spacing);
+		for (let i = 0; i < n; i++) {
+			points.push([x1 + ((x2 - x1) * i) / n, y1 + ((y2 - y1) * i) / n]);
+		}
+	}
+	points.push(corners[corners.length - 1]);
+	return points;
+}
+
+/**
+ * A recording of a lead-in, two laps of a 400 m square circuit, and a
+ * lead-out, with position noise and altitude noise and drift
+ * @returns {Object} GeoJSON feature
+ */
+export function lapRecording() {
+	const rnd = random(7);
+	const square = [
+		[300, 0],
+		[700, 0],
+		[700, 400],
+		[300, 400],
+		[300, 0],
+	];
+	const xy = [
+		...polyline([
+			[0, 0],
+			[300, 0],
+		]).slice(0, -1),
+		...polyline(square).slice(0, -1),
+		...polyline(square).slice(0, -1),
+		...polyline([
+			[300, 0],
+			[1000, 0],
+		]),
+	];
+	return trackFeature(
+		xy.map(([x, y], i) => [
+			x + rnd(),
+			y + rnd(),
+			100 + 5 * Math.sin(x / 150) + y / 40 + 0.004 * i + 0.3 * rnd(),
+		]),
+	);
+}
+
+/**
+ * Distance along a course, and the grade of each step, skipping steps shorter
+ * than 5 cm
+ * @param {Object} feature - GeoJSON LineString feature
+ * @returns {Array} Array of {s, grade} for each step
+ */
+export function grades(feature) {
+	const coords = feature.geometry.coordinates;
+	const steps = [];
+	let s = 0;
+	for (let i = 1; i < coords.length; i++) {
+		const [x1, y1] = lonLatToXY(coords[i - 1]);
+		const [x2, y2] = lonLatToXY(coords[i]);
+		const ds = Math.hypot(x2 - x1, y2 - y1);
+		s += ds;
+		if (ds > 0.05) {
+			steps.push({ s, grade: (coords[i][2] - coords[i - 1][2]) / ds });
+		}
+	}
+	return steps;
+}
+
+/**
+ * Silence the progress notes of processing for the tests of a file
+ * @returns {Function} Lines logged so far by the current test, such as warnings
+ */
+export function quietNotes() {
+	let spy;
+	beforeAll(() => {
+		spy = jest.spyOn(console, "log").mockImplementation(() => {});
+	});
+	beforeEach(() => {
+		spy.mockClear();
+	});
+	afterAll(() => {
+		spy.mockRestore();
+	});
+	return () => spy.mock.calls.map((args) => args.join(" "));
+}
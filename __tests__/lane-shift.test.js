@@ -0,0 +1,111 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import {
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	trackFeature,
+} from "./helpers/courses.js";
+
+quietNotes();
+
+// a 1 km road east along x
+const ROAD = polyline([
+	[0, 0],
+	[1000, 0],
+]).map(([x, y]) => [x, y, 100]);
+const course = (feature) => feature.geometry.coordinates.map(lonLatToXY);
+
+// the shift of each point on a leg along x, between two distances from x = 0
+const shiftsBetween = (xy, x1, x2) =>
+	xy.filter(([x]) => x > x1 && x < x2).map(([, y]) => y);
+
+describe("lane shift window", () => {
+	test("shifts only between shiftStart and shiftEnd", () => {
+		const xy = course(
+			processGPX(trackFeature(ROAD), {
+				laneShift: 3,
+				shiftStart: 300,
+				shiftEnd: 600,
+			}),
+		);
+		for (const y of shiftsBetween(xy, 311, 589)) expect(y).toBeCloseTo(-3, 1);
+		for (const y of shiftsBetween(xy, -1, 289)) expect(y).toBeCloseTo(0, 1);
+		for (const y of shiftsBetween(xy, 611, 1001)) expect(y).toBeCloseTo(0, 1);
+	});
+
+	test("ramps in and out over shiftTransition", () => {
+		const xy = course(
+			processGPX(trackFeature(ROAD), {
+				laneShift: 3,
+				shiftStart: 300,
+				shiftEnd: 600,
+				shiftTransition: 40,
+			}),
+		);
+		// the ramps are centred on the window edges
+		const rampIn = shiftsBetween(xy, 281, 319);
+		const rampOut = shiftsBetween(xy, 581, 619);
+		for (const ramp of [rampIn, rampOut.reverse()]) {
+			expect(ramp.length).toBeGreaterThan(5);
+			for (const [i, y] of ramp.entries()) {
+				expect(y).toBeLessThan(0);
+				expect(y).toBeGreaterThan(-3);
+				if (i > 0) expect(y).toBeLessThan(ramp[i - 1]);
+			}
+		}
+		const [, yStart] = xy.find(([x]) => Math.abs(x - 300) < 1);
+		expect(yStart).toBeCloseTo(-1.5, 0);
+	});
+
+	test("mirrors the window onto the return leg of an out-and-back", () => {
+		const xy = course(
+			processGPX(trackFeature(ROAD), {
+				outAndBack: true,
+				laneShift: 3,
+				shiftStart: 300,
+				shiftEnd: 600,
+			}),
+		);
+		const iFar = xy.findIndex(([x]) => x > 1000);
+		const [out, back] = [xy.slice(0, iFar), xy.slice(iFar)];
+		for (const y of shiftsBetween(out, 320, 580)) expect(y).toBeCloseTo(-3, 1);
+		for (const y of shiftsBetween(back, 320, 580)) expect(y).toBeCloseTo(3, 1);
+		for (const leg of [out, back]) {
+			for (const y of shiftsBetween(leg, -1, 280)) expect(y).toBeCloseTo(0, 1);
+			for (const y of shiftsBetween(leg, 620, 990)) expect(y).toBeCloseTo(0, 1);
+		}
+	});
+
+	test("wraps a window through the finish of a loop", () => {
+		// a 1600 m square loop, counterclockwise from the origin
+		const square = polyline([
+			[0, 0],
+			[400, 0],
+			[400, 400],
+			[0, 400],
+			[0, 0],
+		]).map(([x, y]) => [x, y, 100]);
+		const xy = course(
+			processGPX(trackFeature(square), {
+				isLoop: 1,
+				laneShift: 3,
+				shiftStart: 1500,
+				shiftEnd: 100,
+			}),
+		);
+		// shifted outward, to the right, over the first 100 m and the last 100 m
+		const first = xy.filter(([x, y]) => y < 1 && x < 200);
+		const last = xy.filter(([x, y]) => x < 1 && y < 200);
+		for (const [x, y] of first) {
+			if (x > 0 && x < 90) expect(y).toBeCloseTo(-3, 1);
+			if (x > 110) expect(y).toBeCloseTo(0, 1);
+		}
+		for (const [x, y] of last) {
+			if (y > 0 && y < 90) expect(x).toBeCloseTo(-3, 1);
+			if (y > 110) expect(x).toBeCloseTo(0, 1);
+		}
+		expect(first.length).toBeGreaterThan(30);
+		expect(last.length).toBeGreaterThan(30);
+	});
+});
@@ -0,0 +1,47 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import {
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	trackFeature,
+} from "./helpers/courses.js";
+
+const notes = quietNotes();
+
+// a road east along x and back, finishing a gap north of the start
+const hairpin = (gap) =>
+	polyline([
+		[0, 0],
+		[1000, 0],
+		[1000, gap],
+		[0, gap],
+	]).map(([x, y]) => [x, y, 100]);
+const course = (feature) => feature.geometry.coordinates.map(lonLatToXY);
+
+describe("rLap", () => {
+	test("joins a finish heading back past the start with a loop", () => {
+		const options = { rLap: 15 };
+		const xy = course(processGPX(trackFeature(hairpin(100)), options));
+		expect(options.isLoop).toBe(1);
+
+		// the loop swings rLap out past the start and finish, and ends at the start
+		const beyond = xy.filter(([x]) => x < -0.1);
+		expect(beyond.length).toBeGreaterThan(10);
+		expect(Math.min(...beyond.map(([x]) => x))).toBeCloseTo(-15, 0);
+		expect(xy.at(-1)[0]).toBeCloseTo(0, 1);
+		expect(xy.at(-1)[1]).toBeCloseTo(0, 1);
+	});
+
+	test("leaves a finish more than 150 m from the start", () => {
+		const options = { rLap: 15 };
+		const xy = course(processGPX(trackFeature(hairpin(200)), options));
+		expect(options.isLoop).toBe(0);
+		expect(notes()).toContainEqual(
+			expect.stringMatching(
+				/^WARNING: finish is 200\.\d meters from start: not closing lap$/,
+			),
+		);
+		expect(Math.min(...xy.map(([x]) => x))).toBeGreaterThan(-0.1);
+	});
+});
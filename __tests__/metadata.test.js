@@ -0,0 +1,94 @@
+import fs from "node:fs";
+import { describe, expect, test } from "@jest/globals";
+import { buildGPXMetadata } from "../js/gpx-export.js";
+import { parseArgs, processGpxFile } from "../process-cli.js";
+import {
+	polyline,
+	quietNotes,
+	tempFiles,
+	writeGPX,
+} from "./helpers/courses.js";
+
+quietNotes();
+const tempFile = tempFiles();
+
+describe("buildGPXMetadata", () => {
+	const time = new Date("2026-05-01T08:00:00Z");
+
+	test("orders the fields as the schema does", () => {
+		const metadata = buildGPXMetadata({
+			keywords: "hill",
+			link: "https://example.com",
+			author: "Jane Doe",
+			name: "Ride",
+			description: "Hills",
+			time,
+		});
+		expect(Object.keys(metadata)).toEqual([
+			"name",
+			"desc",
+			"author",
+			"link",
+			"time",
+			"keywords",
+		]);
+		expect(metadata.author).toEqual({ name: "Jane Doe" });
+		expect(metadata.link).toEqual({ "@href": "https://example.com" });
+	});
+
+	test("finds the year, license and holder in the copyright", () => {
+		expect(
+			buildGPXMetadata({
+				copyright:
+					"© 2024 Jane Doe https://creativecommons.org/licenses/by/4.0/",
+				time,
+			}).copyright,
+		).toEqual({
+			"@author": "Jane Doe",
+			year: "2024",
+			license: "https://creativecommons.org/licenses/by/4.0/",
+		});
+	});
+
+	test("defaults the copyright to the author, this year", () => {
+		expect(
+			buildGPXMetadata({ author: "Jane Doe", copyright: "©", time }).copyright,
+		).toEqual({ "@author": "Jane Doe", year: 2026 });
+	});
+});
+
+describe("metadata options", () => {
+	test("write GPX metadata from the command line", async () => {
+		const input = tempFile("ride.gpx");
+		const output = tempFile("ride_processed.gpx");
+		const road = polyline([
+			[0, 0],
+			[1000, 0],
+		]).map(([x, y]) => [x, y, 100]);
+		writeGPX(input, [{ name: "Recorded", segments: [road] }]);
+		const options = await parseArgs([
+			input,
+			"--title",
+			"My Ride",
+			"--author",
+			"Jane Doe",
+			"--copyright",
+			"2024 Jane Doe",
+			"--description",
+			"Up & down",
+			"--keywords",
+			"hill,loop",
+			"--link",
+			"https://example.com/ride",
+			"-o",
+			output,
+		]);
+		await processGpxFile(input, options);
+		const gpx = fs.readFileSync(output, "utf8");
+		const metadata = gpx.match(/<metadata>([\s\S]*)<\/metadata>/)[1];
+		expect(metadata).toMatch(
+			/<name>My Ride<\/name>\s*<desc>Up &amp; down<\/desc>\s*<author>\s*<name>Jane Doe<\/name>\s*<\/author>\s*<copyright author="Jane Doe">\s*<year>2024<\/year>\s*<\/copyright>\s*<link href="https:\/\/example.com\/ride"\/>\s*<time>[^<]+<\/time>\s*<keywords>hill,loop<\/keywords>/,
+		);
+		expect(gpx).toMatch(/<trk>\s*<name>My Ride<\/name>/);
+	});
+});
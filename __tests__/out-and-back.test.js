@@ -0,0 +1,65 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import {
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	trackFeature,
+} from "./helpers/courses.js";
+
+quietNotes();
+
+// a 1 km road east along x
+const ROAD = polyline([
+	[0, 0],
+	[1000, 0],
+]).map(([x, y]) => [x, y, 100]);
+const course = (feature) => feature.geometry.coordinates.map(lonLatToXY);
+
+describe("outAndBack", () => {
+	test("shifts each leg to its right", () => {
+		const xy = course(
+			processGPX(trackFeature(ROAD), { outAndBack: true, laneShift: 3 }),
+		);
+		const iFar = xy.findIndex(([x]) => x > 1000);
+		const out = xy.slice(0, iFar).filter(([x]) => x < 990);
+		const back = xy.slice(iFar).filter(([x]) => x < 990);
+		expect(out.length).toBeGreaterThan(0);
+		expect(back.length).toBeGreaterThan(0);
+		// east is to the right of travel on the way out, west on the way back
+		for (const [, y] of out) expect(y).toBeCloseTo(-3, 1);
+		for (const [, y] of back) expect(y).toBeCloseTo(3, 1);
+	});
+
+	test("turns around on a loop of radius rTurnaround at the far end", () => {
+		const xy = course(
+			processGPX(trackFeature(ROAD), {
+				outAndBack: true,
+				laneShift: 3,
+				rTurnaround: 12,
+			}),
+		);
+		const xFar = Math.max(...xy.map(([x]) => x));
+		const cx = xFar - 12;
+		const loop = xy.filter(([x]) => x >= cx);
+		expect(loop.length).toBeGreaterThan(10);
+		for (const [x, y] of loop) {
+			expect(Math.hypot(x - cx, y)).toBeCloseTo(12, 0);
+		}
+		// the course reaches the far end and back, and no further
+		expect(xFar).toBeGreaterThan(1000 + 12);
+		expect(xy.at(-1)[0]).toBeLessThan(10);
+	});
+
+	test("closes the course into a loop with outAndBackLap", () => {
+		const options = { outAndBackLap: true, laneShift: 3 };
+		const xy = course(processGPX(trackFeature(ROAD), options));
+		expect(options.isLoop).toBe(1);
+		// the lap loop around the start, of radius rLap (8 m by default)
+		expect(Math.min(...xy.map(([x]) => x))).toBeLessThan(-8);
+		expect(Math.max(...xy.map(([, y]) => y))).toBeCloseTo(8, 0);
+		const [x0, y0] = xy[0];
+		const [x1, y1] = xy.at(-1);
+		expect(Math.hypot(x1 - x0, y1 - y0)).toBeLessThan(2);
+	});
+});
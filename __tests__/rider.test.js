@@ -0,0 +1,43 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import { lapRecording, quietNotes } from "./helpers/courses.js";
+
+const notes = quietNotes();
+
+describe("rider model", () => {
+	const warnings = () =>
+		notes().filter((line) => line.startsWith("WARNING: -rider"));
+	const finishTime = (result) =>
+		Date.parse(result.properties.coordinateProperties.times.at(-1));
+
+	test("warns that mass, CdA and Crr are ignored without a power", () => {
+		const start = "2026-01-01T08:00:00Z";
+		const base = processGPX(lapRecording(), { startTime: start });
+		const heavy = processGPX(lapRecording(), {
+			startTime: start,
+			riderMass: 120,
+			riderCdA: 0.5,
+		});
+		expect(finishTime(heavy)).toBe(finishTime(base));
+		expect(warnings()).toEqual([
+			"WARNING: -riderMass is ignored without -riderPower or -riderFTP",
+			"WARNING: -riderCdA is ignored without -riderPower or -riderFTP",
+		]);
+	});
+
+	test("uses mass with a power, without warning", () => {
+		const start = "2026-01-01T08:00:00Z";
+		const light = processGPX(lapRecording(), {
+			startTime: start,
+			riderFTP: 250,
+			riderMass: 70,
+		});
+		const heavy = processGPX(lapRecording(), {
+			startTime: start,
+			riderFTP: 250,
+			riderMass: 120,
+		});
+		expect(finishTime(heavy)).toBeGreaterThan(finishTime(light));
+		expect(warnings()).toEqual([]);
+	});
+});
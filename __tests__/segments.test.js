@@ -0,0 +1,177 @@
+import fs from "node:fs";
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import { parseArgs, processGpxFile } from "../process-cli.js";
+import {
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	tempFiles,
+	trackFeature,
+	writeGPX,
+} from "./helpers/courses.js";
+
+quietNotes();
+const tempFile = tempFiles();
+
+// a road along x with a grade for each kilometer
+const road = (grades) => {
+	const points = [];
+	let ele = 100;
+	for (const [x] of polyline([
+		[0, 0],
+		[1000 * grades.length, 0],
+	])) {
+		points.push([x, 0, ele]);
+		ele += 5 * grades[Math.min(Math.floor(x / 1000), grades.length - 1)];
+	}
+	return points;
+};
+
+// the range of x of the points in each named segment
+const namedRanges = (feature) => {
+	const segmentNames = feature.properties.segmentNames || {};
+	const segments = feature.properties.coordinateProperties?.segments || [];
+	const ranges = {};
+	for (const [i, coord] of feature.geometry.coordinates.entries()) {
+		const name = segmentNames[segments[i]];
+		if (name === undefined) continue;
+		const [x] = lonLatToXY(coord);
+		ranges[name] = [
+			Math.min(ranges[name]?.[0] ?? x, x),
+			Math.max(ranges[name]?.[1] ?? x, x),
+		];
+	}
+	return ranges;
+};
+
+describe("autoSegments", () => {
+	// a 6% climb from 1 km and a 3% climb from 3 km, each 1 km long and
+	// followed by a descent
+	const COURSE = road([0, 0.06, -0.06, 0.03, -0.03, 0]);
+
+	test("names each climb rated at least the minimum", () => {
+		const result = processGPX(trackFeature(COURSE), { autoSegments: [0] });
+		const ranges = namedRanges(result);
+		expect(Object.keys(ranges)).toEqual(["Climb 1", "Climb 2"]);
+		expect(ranges["Climb 1"][0]).toBeCloseTo(1000, -2);
+		expect(ranges["Climb 1"][1]).toBeCloseTo(2000, -2);
+		expect(ranges["Climb 2"][0]).toBeCloseTo(3000, -2);
+	});
+
+	test("skips climbs rated below the minimum", () => {
+		// ratings: 60 m at 6% is 147, 30 m at 3% is 52
+		const result = processGPX(trackFeature(COURSE), { autoSegments: [100] });
+		expect(Object.keys(namedRanges(result))).toEqual(["Climb 1"]);
+	});
+
+	test("names the climbs from autoSegmentNames", () => {
+		const result = processGPX(trackFeature(COURSE), {
+			autoSegments: [0],
+			autoSegmentNames: "The Wall, The Drag",
+		});
+		expect(Object.keys(namedRanges(result))).toEqual(["The Wall", "The Drag"]);
+	});
+
+	test("keeps segments clear of the start", () => {
+		const result = processGPX(trackFeature(COURSE), {
+			autoSegments: [0],
+			autoSegmentStartMargin: 1500,
+		});
+		expect(namedRanges(result)["Climb 1"][0]).toBeCloseTo(1500, -1);
+	});
+
+	test("ends a climb at the start of a flat summit", () => {
+		const result = processGPX(trackFeature(road([0, 0.06, 0, 0])), {
+			autoSegments: [0],
+		});
+		const ranges = namedRanges(result);
+		expect(Object.keys(ranges)).toEqual(["Climb 1"]);
+		expect(ranges["Climb 1"][0]).toBeCloseTo(1000, -2);
+		expect(ranges["Climb 1"][1]).toBeCloseTo(2000, -2);
+	});
+});
+
+describe("namedSegments", () => {
+	const COURSE = road([0, 0, 0, 0]);
+
+	test("carries named segments through processing", () => {
+		const result = processGPX(trackFeature(COURSE), {
+			namedSegments: "2400:3200:Finish Straight,1200:2000:Middle",
+			spacing: 10,
+			lSmooth: 5,
+		});
+		const ranges = namedRanges(result);
+		expect(Object.keys(ranges).sort()).toEqual(["Finish Straight", "Middle"]);
+		expect(ranges.Middle[0]).toBeCloseTo(1200, -1);
+		expect(ranges.Middle[1]).toBeCloseTo(2000, -1);
+		expect(ranges["Finish Straight"][0]).toBeCloseTo(2400, -1);
+	});
+
+	test("ignores a segment which isn't on the course", () => {
+		const result = processGPX(trackFeature(COURSE), {
+			namedSegments: "3000:5000:Beyond",
+		});
+		expect(namedRanges(result)).toEqual({});
+	});
+
+	test("rejects overlapping or malformed segments", () => {
+		expect(() =>
+			processGPX(trackFeature(COURSE), {
+				namedSegments: "1000:2000:A,1500:2500:B",
+			}),
+		).toThrow(/"A" and "B" overlap/);
+		expect(() =>
+			processGPX(trackFeature(COURSE), { namedSegments: "2000:1000:A" }),
+		).toThrow(/expected start:end:name/);
+	});
+
+	test("writes named segments as named GPX track segments", async () => {
+		const input = tempFile("named.gpx");
+		const output = tempFile("named_processed.gpx");
+		writeGPX(input, [{ name: "Named", segments: [COURSE] }]);
+		const options = await parseArgs([
+			input,
+			"--namedSegments",
+			"1200:2000:Middle",
+			"-o",
+			output,
+		]);
+		await processGpxFile(input, options);
+		const gpx = fs.readFileSync(output, "utf8");
+		expect(gpx.match(/<trkseg>/g)).toHaveLength(3);
+		expect(gpx).toMatch(/<(\w+):name>Middle<\/\1:name>/);
+	});
+});
+
+describe("input track segments", () => {
+	// one track in two segments, meeting at 1 km
+	const writeTwoSegments = (file) => {
+		const course = road([0, 0]);
+		writeGPX(file, [
+			{ name: "Two", segments: [course.slice(0, 201), course.slice(200)] },
+		]);
+	};
+	const trackSegments = (file) =>
+		fs.readFileSync(file, "utf8").match(/<trkseg>/g).length;
+
+	test("keeps the track segments of the input", async () => {
+		const input = tempFile("two.gpx");
+		const output = tempFile("two_processed.gpx");
+		writeTwoSegments(input);
+		const options = await parseArgs([input, "-o", output]);
+		const { processedRoute } = await processGpxFile(input, options);
+		expect(trackSegments(output)).toBe(2);
+		const { segments } = processedRoute.properties.coordinateProperties;
+		expect(new Set(segments)).toEqual(new Set([1, 2]));
+	});
+
+	test("merges them with stripSegments", async () => {
+		const input = tempFile("two.gpx");
+		const output = tempFile("two_stripped.gpx");
+		writeTwoSegments(input);
+		const options = await parseArgs([input, "--stripSegments", "-o", output]);
+		await processGpxFile(input, options);
+		expect(trackSegments(output)).toBe(1);
+	});
+});
@@ -0,0 +1,75 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import {
+	grades,
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	trackFeature,
+} from "./helpers/courses.js";
+
+quietNotes();
+
+// a 400 m square loop, counterclockwise from the origin
+const SQUARE = polyline([
+	[0, 0],
+	[400, 0],
+	[400, 400],
+	[0, 400],
+	[0, 0],
+]).map(([x, y]) => [x, y, 100]);
+const start = (feature) => lonLatToXY(feature.geometry.coordinates[0]);
+
+describe("shiftSF", () => {
+	test("moves the start/finish further along the loop", () => {
+		const result = processGPX(trackFeature(SQUARE), {
+			isLoop: 1,
+			shiftSF: 150,
+		});
+		const [x, y] = start(result);
+		expect(x).toBeCloseTo(150, 0);
+		expect(y).toBeCloseTo(0, 0);
+		expect(grades(result).at(-1).s).toBeCloseTo(
+			grades(processGPX(trackFeature(SQUARE), { isLoop: 1 })).at(-1).s,
+			0,
+		);
+	});
+
+	test("interpolates a start between points, and wraps a negative shift", () => {
+		const [x1, y1] = start(
+			processGPX(trackFeature(SQUARE), { isLoop: 1, shiftSF: 152.5 }),
+		);
+		expect(x1).toBeCloseTo(152.5, 0);
+		expect(y1).toBeCloseTo(0, 0);
+		const [x2, y2] = start(
+			processGPX(trackFeature(SQUARE), { isLoop: 1, shiftSF: -100 }),
+		);
+		expect(x2).toBeCloseTo(0, 0);
+		expect(y2).toBeCloseTo(100, 0);
+	});
+
+	test("keeps named segments on the same part of the course", () => {
+		const result = processGPX(trackFeature(SQUARE), {
+			isLoop: 1,
+			shiftSF: 200,
+			namedSegments: "100:300:Bottom",
+		});
+		const { segments } = result.properties.coordinateProperties;
+		const [number] = Object.entries(result.properties.segmentNames).find(
+			([, name]) => name === "Bottom",
+		);
+		const xy = result.geometry.coordinates
+			.filter((_, i) => segments[i] === Number(number))
+			.map(lonLatToXY);
+		expect(Math.min(...xy.map(([x]) => x))).toBeCloseTo(100, -1);
+		expect(Math.max(...xy.map(([x]) => x))).toBeCloseTo(300, -1);
+		expect(Math.max(...xy.map(([, y]) => Math.abs(y)))).toBeLessThan(1);
+	});
+
+	test("leaves a course which isn't a loop alone", () => {
+		const road = SQUARE.slice(0, 81);
+		const [x, y] = start(processGPX(trackFeature(road), { shiftSF: 150 }));
+		expect(x).toBeCloseTo(0, 0);
+		expect(y).toBeCloseTo(0, 0);
+	});
+});
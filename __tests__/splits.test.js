@@ -0,0 +1,111 @@
+import fs from "node:fs";
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import { parseArgs, processGpxFile } from "../process-cli.js";
+import {
+	grades,
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	tempFiles,
+	trackFeature,
+	writeGPX,
+} from "./helpers/courses.js";
+
+quietNotes();
+const tempFile = tempFiles();
+
+// a flat 2 km road along x
+const ROAD = polyline([
+	[0, 0],
+	[2000, 0],
+]).map(([x, y]) => [x, y, 100]);
+const length = (feature) => grades(feature).at(-1).s;
+const startX = (feature) => lonLatToXY(feature.geometry.coordinates[0])[0];
+
+// within 5 m: the test coordinates use a slightly different Earth radius
+const expectMeters = (values, expected) => {
+	expect(values).toHaveLength(expected.length);
+	for (const [i, value] of values.entries()) {
+		expect(value).toBeCloseTo(expected[i], -1);
+	}
+};
+
+describe("splitAt", () => {
+	test("splits the course into named pieces at the distances", () => {
+		const result = processGPX(trackFeature(ROAD, "Road"), {
+			splitAt: [1500, 500],
+		});
+		expectMeters(result.splits.map(length), [500, 1000, 500]);
+		expectMeters(result.splits.map(startX), [0, 500, 1500]);
+		expect(result.splits.map((split) => split.properties.name)).toEqual([
+			"Road (1 of 3)",
+			"Road (2 of 3)",
+			"Road (3 of 3)",
+		]);
+		expectMeters([length(result)], [2000]);
+	});
+
+	test("overlaps the pieces by splitOverlap", () => {
+		const result = processGPX(trackFeature(ROAD), {
+			splitAt: [1000],
+			splitOverlap: 50,
+		});
+		expectMeters(result.splits.map(length), [1050, 1050]);
+		expectMeters([startX(result.splits[1])], [950]);
+	});
+
+	test("ignores distances outside the course", () => {
+		const result = processGPX(trackFeature(ROAD), { splitAt: [0, 2500] });
+		expect(result.splits).toHaveLength(1);
+	});
+
+	test("writes numbered files from the command line", async () => {
+		const input = tempFile("road.gpx");
+		const output = tempFile("road_split.gpx");
+		writeGPX(input, [{ name: "Road", segments: [ROAD] }]);
+		const options = await parseArgs([input, "--splitAt", "800", "-o", output]);
+		const { splitFiles } = await processGpxFile(input, options);
+		expect(splitFiles).toEqual([
+			tempFile("road_split_1.gpx"),
+			tempFile("road_split_2.gpx"),
+		]);
+		for (const file of splitFiles) {
+			expect(fs.readFileSync(file, "utf8")).toContain("<trkpt");
+		}
+	});
+});
+
+describe("autoSplits", () => {
+	test("splits a flat, straight road into equal pieces", () => {
+		const result = processGPX(trackFeature(ROAD), { autoSplits: 4 });
+		expectMeters(result.splits.map(length), [500, 500, 500, 500]);
+	});
+
+	test("balances the pieces by riding time, not distance", () => {
+		// flat for 2 km, then 2 km at 6%: the climb is slower
+		const climb = polyline([
+			[0, 0],
+			[4000, 0],
+		]).map(([x, y]) => [x, y, 100 + 0.06 * Math.max(0, x - 2000)]);
+		const [first, second] = processGPX(trackFeature(climb), {
+			autoSplits: 2,
+		}).splits.map(length);
+		expect(first).toBeGreaterThan(2200);
+		expect(first + second).toBeCloseTo(4000, -1);
+	});
+
+	test("moves a split clear of a corner", () => {
+		// a right-angle corner at the halfway point
+		const corner = polyline([
+			[0, 0],
+			[1000, 0],
+			[1000, 1000],
+		]).map(([x, y]) => [x, y, 100]);
+		const [first] = processGPX(trackFeature(corner), {
+			autoSplits: 2,
+		}).splits.map(length);
+		expect(Math.abs(first - 1000)).toBeGreaterThan(45);
+		expect(Math.abs(first - 1000)).toBeLessThan(200);
+	});
+});
@@ -0,0 +1,69 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import {
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	trackFeature,
+} from "./helpers/courses.js";
+
+quietNotes();
+
+// a road along x with a 50 m detour north from 300 m to 400 m, climbing at 5%
+const DETOUR = [
+	[0, 0],
+	[300, 0],
+	[350, 50],
+	[400, 0],
+	[1000, 0],
+];
+const road = () => {
+	let s = 0;
+	return polyline(DETOUR).map(([x, y], i, xy) => {
+		if (i > 0) s += Math.hypot(x - xy[i - 1][0], y - xy[i - 1][1]);
+		return [x, y, 100 + 0.05 * s];
+	});
+};
+
+// the detour starts 300 m along the road and rejoins it 441 m along
+const S_REJOIN = 300 + 100 * Math.SQRT2;
+
+describe("straight", () => {
+	test("puts the points of a range on the line between its ends", () => {
+		// from 250 m, before the detour, to 500 m, after it
+		const result = processGPX(trackFeature(road()), { straight: [250, 500] });
+		const xyz = result.geometry.coordinates.map((c) => [
+			...lonLatToXY(c),
+			c[2],
+		]);
+		const xEnd = 500 - S_REJOIN + 400;
+		const inRange = xyz.filter(([x]) => x > 251 && x < xEnd - 1);
+		expect(inRange.length).toBeGreaterThan(30);
+		for (const [, y] of inRange) expect(y).toBeCloseTo(0, 1);
+
+		// the altitudes of the range are kept, spread over its new length
+		for (const [x, , z] of inRange) {
+			const f = (x - 250) / (xEnd - 250);
+			expect(z).toBeCloseTo(100 + 0.05 * (250 + 250 * f), 0);
+		}
+		expect(xyz[0][2]).toBeCloseTo(100, 3);
+		expect(xyz.at(-1)[2]).toBeCloseTo(100 + 0.05 * (S_REJOIN + 600), 1);
+	});
+
+	test("takes the ranges from straightStart and straightEnd", () => {
+		const pairs = processGPX(trackFeature(road()), { straight: [250, 500] });
+		const lists = processGPX(trackFeature(road()), {
+			straightStart: [250],
+			straightEnd: [500],
+		});
+		expect(lists.geometry.coordinates).toEqual(pairs.geometry.coordinates);
+	});
+
+	test("rejects an odd number of distances", () => {
+		expect(() =>
+			processGPX(trackFeature(road()), { straight: [250, 500, 700] }),
+		).toThrow(
+			"straight requires pairs of distances: start and end of each range",
+		);
+	});
+});
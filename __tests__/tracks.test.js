@@ -0,0 +1,136 @@
+import fs from "node:fs";
+import { describe, expect, test } from "@jest/globals";
+import {
+	getTracks,
+	joinTracks,
+	listTracks,
+	selectTrack,
+} from "../js/process-gpx.js";
+import { parseArgs, processGpxFile } from "../process-cli.js";
+import {
+	grades,
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	tempFiles,
+	trackFeature,
+	writeGPX,
+} from "./helpers/courses.js";
+
+quietNotes();
+const tempFile = tempFiles();
+
+// three pieces of a road along x: 0 to 500 m, 1000 back to 500 m, and
+// 1000 to 1500 m
+const PIECES = [
+	[0, 500],
+	[1000, 500],
+	[1000, 1500],
+].map(([x1, x2]) =>
+	polyline([
+		[x1, 0],
+		[x2, 0],
+	]).map(([x, y]) => [x, y, 100]),
+);
+const xs = (feature) =>
+	feature.geometry.coordinates.map((coord) => lonLatToXY(coord)[0]);
+const isIncreasing = (values) =>
+	values.every((value, i) => i === 0 || value > values[i - 1] - 1e-6);
+
+describe("join", () => {
+	const tracks = PIECES.map((piece, i) => trackFeature(piece, `piece ${i}`));
+
+	test("joins tracks in order, reversing those which run backward", () => {
+		const joined = joinTracks(tracks, ["0", "1", "2"]);
+		expect(isIncreasing(xs(joined))).toBe(true);
+		expect(xs(joined)[0]).toBeCloseTo(0, 3);
+		expect(xs(joined).at(-1)).toBeCloseTo(1500, 3);
+		expect(joined.properties.name).toBe("piece 0");
+	});
+
+	test("reverses the first track to meet the second", () => {
+		const joined = joinTracks(tracks, ["1", "0"]);
+		expect(xs(joined)[0]).toBeCloseTo(1000, 3);
+		expect(xs(joined).at(-1)).toBeCloseTo(0, 3);
+	});
+
+	test("joins every track with all", () => {
+		const joined = joinTracks(tracks, ["all"]);
+		expect(joined.geometry.coordinates).toHaveLength(
+			PIECES.reduce((sum, piece) => sum + piece.length, 0),
+		);
+	});
+
+	test("rejects a track which doesn't exist", () => {
+		expect(() => joinTracks(tracks, ["0", "3"])).toThrow(/track 3 not found/);
+	});
+
+	test("joins the tracks of a GPX file from the command line", async () => {
+		const input = tempFile("pieces.gpx");
+		const output = tempFile("pieces_joined.csv");
+		writeGPX(
+			input,
+			PIECES.map((piece, i) => ({ name: `piece ${i}`, segments: [piece] })),
+		);
+		const options = await parseArgs([input, "--join", "all", "-o", output]);
+		const { processedRoute } = await processGpxFile(input, options);
+		expect(grades(processedRoute).at(-1).s).toBeCloseTo(1500, -1);
+		expect(fs.existsSync(output)).toBe(true);
+	});
+});
+
+describe("selectedTrack", () => {
+	const tracks = PIECES.map((piece, i) => trackFeature(piece, `piece ${i}`));
+
+	test("selects the first track by default, or the one given", () => {
+		expect(selectTrack(tracks).properties.name).toBe("piece 0");
+		expect(selectTrack(tracks, 2).properties.name).toBe("piece 2");
+	});
+
+	test("lists the tracks when the one given doesn't exist", () => {
+		expect(() => selectTrack(tracks, 3)).toThrow(
+			/track 3 not found: available tracks are:\n {2}0: piece 0 \(101 points, 0\.50\d km\)/,
+		);
+		expect(listTracks(tracks).map(({ name }) => name)).toEqual([
+			"piece 0",
+			"piece 1",
+			"piece 2",
+		]);
+	});
+
+	test("concatenates the segments of a multi-segment track", () => {
+		const [track] = getTracks({
+			type: "FeatureCollection",
+			features: [
+				{
+					type: "Feature",
+					geometry: {
+						type: "MultiLineString",
+						coordinates: [PIECES[0], PIECES[2]].map(
+							(piece) => trackFeature(piece).geometry.coordinates,
+						),
+					},
+					properties: { name: "two segments" },
+				},
+			],
+		});
+		const selected = selectTrack([track]);
+		expect(selected.geometry.type).toBe("LineString");
+		expect(selected.geometry.coordinates).toHaveLength(202);
+		const { segments } = selected.properties.coordinateProperties;
+		expect(segments.slice(99, 103)).toEqual([1, 1, 2, 2]);
+	});
+
+	test("selects a track of a GPX file from the command line", async () => {
+		const input = tempFile("tracks.gpx");
+		const output = tempFile("tracks_selected.csv");
+		writeGPX(
+			input,
+			PIECES.map((piece, i) => ({ name: `piece ${i}`, segments: [piece] })),
+		);
+		const options = await parseArgs([input, "--track", "2", "-o", output]);
+		const { processedRoute } = await processGpxFile(input, options);
+		expect(xs(processedRoute)[0]).toBeCloseTo(1000, 0);
+		expect(xs(processedRoute).at(-1)).toBeCloseTo(1500, 0);
+	});
+});
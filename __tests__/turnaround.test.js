@@ -0,0 +1,59 @@
+import { describe, expect, test } from "@jest/globals";
+import { processGPX } from "../js/process-gpx.js";
+import {
+	lonLatToXY,
+	polyline,
+	quietNotes,
+	trackFeature,
+} from "./helpers/courses.js";
+
+const notes = quietNotes();
+
+// a 1 km road east along x
+const ROAD = polyline([
+	[0, 0],
+	[1000, 0],
+]).map(([x, y]) => [x, y, 100]);
+const course = (feature) => feature.geometry.coordinates.map(lonLatToXY);
+
+describe("rTurnaround", () => {
+	test("adds a loop of radius rTurnaround after the finish", () => {
+		const xy = course(processGPX(trackFeature(ROAD), { rTurnaround: 12 }));
+		const iFinish = xy.findIndex(([x]) => x > 999.9);
+		const loop = xy.slice(iFinish + 1);
+		expect(loop.length).toBeGreaterThan(10);
+
+		// the loop is a circle, and ends back at the finish
+		const xFar = Math.max(...loop.map(([x]) => x));
+		const cx = xFar - 12;
+		for (const [x, y] of loop.filter(([x]) => x >= cx)) {
+			expect(Math.hypot(x - cx, y)).toBeCloseTo(12, 0);
+		}
+		expect(Math.max(...loop.map(([, y]) => Math.abs(y)))).toBeCloseTo(12, 0);
+		expect(xy.at(-1)[0]).toBeCloseTo(1000, -1);
+		expect(xy.at(-1)[1]).toBeCloseTo(0, 1);
+	});
+
+	test("adds no loop at the finish of an out-and-back", () => {
+		const xy = course(
+			processGPX(trackFeature(ROAD), {
+				outAndBack: true,
+				laneShift: 3,
+				rTurnaround: 12,
+			}),
+		);
+		// the only loop is the turnaround at the far end
+		expect(xy.at(-1)[0]).toBeLessThan(10);
+		expect(Math.min(...xy.map(([x]) => x))).toBeGreaterThan(-1);
+	});
+
+	test("takes precedence over the loop option", () => {
+		const xy = course(
+			processGPX(trackFeature(ROAD), { rTurnaround: 12, isLoop: 1 }),
+		);
+		expect(notes()).toContain(
+			"WARNING: ignoring -lap or -loop option when rTurnaround > 0",
+		);
+		expect(Math.max(...xy.map(([x]) => x))).toBeGreaterThan(1012);
+	});
+});
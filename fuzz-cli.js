@@ -29,6 +29,7 @@ const OPTIONS_CONFIG = {
 		"csv",
 		"enableAdvancedSmoothing",
 		"enableElevationFixes",
+		"flattenInterpolate",
 		"loop",
 		"loopLeft",
 		"loopRight",
@@ -75,6 +76,8 @@ const OPTIONS_CONFIG = {
 		gAutoSmooth: [0, 50],
 		gSigma: [0, 50],
 		gradientPower: [1, 5],
+		gradientSignHysteresis: [0, 3],
+		gradientSignThreshold: [0.5, 8],
 		gradientThreshold: [10, 500],
 		laneShift: [-10, 10],
 		lAutoSmooth: [0, 50],
@@ -90,6 +93,13 @@ const OPTIONS_CONFIG = {
 		prunedg: [0.0001, 0.005],
 		rCrossings: [1, 20],
 		repeat: [0, 5],
+		riderCdA: [0.2, 0.5],
+		riderCornerAccel: [1, 6],
+		riderCrr: [0.002, 0.01],
+		riderFTP: [100, 400],
+		riderMass: [50, 120],
+		riderMaxSpeed: [30, 90],
+		riderPower: [100, 400],
 		rLap: [1, 100],
 		rTurnaround: [1, 50],
 		rUTurn: [1, 50],
@@ -113,6 +123,7 @@ const OPTIONS_CONFIG = {
 		splineMaxDegs: [30, 90],
 		splineStart: [0, 100],
 		splitNumber: [1, 20],
+		splitOverlap: [0, 200],
 		startCircuitDistance: [-1, 1000],
 		startCircuits: [0, 10],
 		selectedTrack: [0, 5],
@@ -133,6 +144,7 @@ const OPTIONS_CONFIG = {
 		"copyright",
 		"description",
 		"keywords",
+		"link",
 		"title",
 		"out",
 		"namedSegments",
@@ -3,42 +3,262 @@
  */
 import { formatXML } from "./xml-formatter.js";
 
+// Extension elements are in the processGPX namespace
+const EXTENSIONS_PREFIX = "pgx";
+const EXTENSIONS_NAMESPACE = "https://github.com/jsmattsonjr/processGPX-js";
+
+/**
+ * Build the GPX 1.1 metadata element, for togpx, with its fields in schema order.
+ * The copyright text may include a year (default: this year) and a license URL;
+ * the rest of it names the holder (default: the author).
+ * @param {Object} fields - {name, description, author, copyright, link, keywords, time}
+ * @returns {Object} Metadata object
+ */
+export function buildGPXMetadata(fields = {}) {
+	const { name, description, author, copyright, link, keywords } = fields;
+	const time = fields.time || new Date();
+	const metadata = {};
+	if (name) metadata.name = name;
+	if (description) metadata.desc = description;
+	if (author) metadata.author = { name: author };
+	if (copyright) {
+		const year = copyright.match(/\b\d{4}\b/)?.[0] || time.getFullYear();
+		const license = copyright.match(/\bhttps?:\/\/\S+/)?.[0];
+		const holder = copyright
+			.replace(/\bhttps?:\/\/\S+/, "")
+			.replace(/\b\d{4}\b/, "")
+			.replace(/©|\(c\)|copyright/gi, "")
+			.replace(/\s+/g, " ")
+			.trim();
+		metadata.copyright = { "@author": holder || author || "", year };
+		if (license) metadata.copyright.license = license;
+	}
+	if (link) metadata.link = { "@href": link };
+	metadata.time = time;
+	if (keywords) metadata.keywords = keywords;
+	return metadata;
+}
+
+/**
+ * Split a track feature with segments into one track segment per run of points
+ * in the same segment. Points in segment 0, added between segments, stay with
+ * the segment before them. The end points of a named segment are shared with
+ * the track segments either side.
+ * @param {Object} trackFeature - LineString feature object
+ * @returns {Object} {feature, names, times, gradientSigns}: MultiLineString
+ *   feature, the name of each track segment ("" if unnamed), and the time and
+ *   gradient sign of each track point, if the feature has them
+ */
+export function segmentTrackFeature(trackFeature) {
+	const coordinates = trackFeature.geometry.coordinates;
+	const segments = trackFeature.properties?.coordinateProperties?.segments;
+	const segmentNames = trackFeature.properties?.segmentNames || {};
+	const times = trackFeature.properties?.coordinateProperties?.times;
+	const gradientSigns =
+		trackFeature.properties?.coordinateProperties?.gradientSigns;
+	if (!segments) {
+		return {
+			feature: trackFeature,
+			names: [],
+			times: times || [],
+			gradientSigns: gradientSigns || [],
+		};
+	}
+
+	const keys = [];
+	let key = segments.find((segment) => segment) ?? 1;
+	for (const segment of segments) {
+		key = segment || key;
+		keys.push(key);
+	}
+	const isNamed = (i) => segmentNames[keys[i]] !== undefined;
+	const lines = [[0]];
+	const names = [isNamed(0) ? segmentNames[keys[0]] : ""];
+	for (let i = 1; i < coordinates.length; i++) {
+		const name = isNamed(i) ? segmentNames[keys[i]] : "";
+		if (keys[i] !== keys[i - 1]) {
+			// the named segment's end point starts the next track segment,
+			// or the previous one ends at the named segment's start point
+			lines.push(isNamed(i - 1) ? [i - 1] : []);
+			names.push(name);
+			if (isNamed(i) && !isNamed(i - 1)) {
+				lines[lines.length - 2].push(i);
+			}
+		}
+		lines[lines.length - 1].push(i);
+	}
+
+	return {
+		feature: {
+			...trackFeature,
+			geometry: {
+				type: "MultiLineString",
+				coordinates: lines.map((line) => line.map((i) => coordinates[i])),
+			},
+		},
+		names,
+		times: times ? lines.flat().map((i) => times[i]) : [],
+		gradientSigns: gradientSigns
+			? lines.flat().map((i) => gradientSigns[i])
+			: [],
+	};
+}
+
+/**
+ * Add times to the track points of a GPX string
+ * @param {string} gpxString - GPX XML string
+ * @param {Array} times - Time of each track point, as an ISO 8601 string
+ * @returns {string} GPX XML string
+ */
+export function addTrackPointTimes(gpxString, times) {
+	if (!times.length) return gpxString;
+	let k = 0;
+	return gpxString.replace(/<\/trkpt>|(<trkpt [^>]*)\/>/g, (tag, open) => {
+		const time = times[k++];
+		if (!time) return tag;
+		return open
+			? `${open}><time>${time}</time></trkpt>`
+			: `<time>${time}</time>${tag}`;
+	});
+}
+
+/**
+ * Declare the processGPX extensions namespace on the gpx element of a GPX
+ * string, if it isn't already
+ * @param {string} gpxString - GPX XML string
+ * @returns {string} GPX XML string
+ */
+function declareExtensionsNamespace(gpxString) {
+	if (gpxString.includes(`xmlns:${EXTENSIONS_PREFIX}=`)) return gpxString;
+	return gpxString.replace(
+		/<gpx\b/,
+		`<gpx xmlns:${EXTENSIONS_PREFIX}="${EXTENSIONS_NAMESPACE}"`,
+	);
+}
+
+/**
+ * Add a field to the track points of a GPX string, as extensions in the
+ * processGPX namespace: after any time, which the schema puts first
+ * @param {string} gpxString - GPX XML string
+ * @param {string} name - Extension element name, without a prefix
+ * @param {Array} values - Value of each track point (null or undefined for none)
+ * @returns {string} GPX XML string
+ */
+export function addTrackPointExtensions(gpxString, name, values) {
+	if (!values.some((value) => value !== undefined && value !== null)) {
+		return gpxString;
+	}
+	const element = `${EXTENSIONS_PREFIX}:${name}`;
+	let k = 0;
+	return declareExtensionsNamespace(gpxString).replace(
+		/<\/trkpt>|(<trkpt [^>]*)\/>/g,
+		(tag, open) => {
+			const value = values[k++];
+			if (value === undefined || value === null) return tag;
+			const extensions = `<extensions><${element}>${value}</${element}></extensions>`;
+			return open ? `${open}>${extensions}</trkpt>` : `${extensions}${tag}`;
+		},
+	);
+}
+
+/**
+ * Add a summary of the climbs, descents and flat runs of a course to the track
+ * of a GPX string, as extensions in the processGPX namespace: before the first
+ * track segment, which the schema puts after them
+ * @param {string} gpxString - GPX XML string
+ * @param {Object} summary - {climb, descent, flat}, each {count, distance,
+ *   elevation} (undefined for none)
+ * @returns {string} GPX XML string
+ */
+export function addGradientSummary(gpxString, summary) {
+	if (!summary) return gpxString;
+	const runs = Object.entries(summary).map(
+		([key, run]) =>
+			`<${EXTENSIONS_PREFIX}:${key} count="${run.count}" distance="${run.distance.toFixed(1)}" elevation="${run.elevation.toFixed(1)}"/>`,
+	);
+	const element = `${EXTENSIONS_PREFIX}:gradientSummary`;
+	const extensions = `<extensions><${element}>${runs.join("")}</${element}></extensions>`;
+	return declareExtensionsNamespace(gpxString).replace(
+		/<trkseg\b/,
+		(tag) => `${extensions}${tag}`,
+	);
+}
+
+/**
+ * Add names to the track segments of a GPX string, as extensions
+ * @param {string} gpxString - GPX XML string
+ * @param {Array} names - Name of each track segment ("" if unnamed)
+ * @returns {string} GPX XML string
+ */
+export function addTrackSegmentNames(gpxString, names) {
+	if (!names.some((name) => name)) return gpxString;
+	const escapeXml = (text) =>
+		text
+			.replace(/&/g, "&amp;")
+			.replace(/</g, "&lt;")
+			.replace(/>/g, "&gt;")
+			.replace(/"/g, "&quot;");
+	const element = `${EXTENSIONS_PREFIX}:name`;
+	let k = 0;
+	return declareExtensionsNamespace(gpxString).replace(/<\/trkseg>/g, (tag) => {
+		const name = names[k++];
+		if (!name) return tag;
+		return `<extensions><${element}>${escapeXml(name)}</${element}></extensions>${tag}`;
+	});
+}
+
 /**
  * Convert a track feature to GPX XML format using togpx
  * @param {Object} trackFeature - LineString feature object
+ * @param {Object} metadataFields - Metadata fields for buildGPXMetadata()
  * @returns {string} GPX XML string
  */
-function trackFeatureToGPX(trackFeature) {
+function trackFeatureToGPX(trackFeature, metadataFields = {}) {
+	// Named segments are written as separate track segments
+	const { feature, names, times, gradientSigns } =
+		segmentTrackFeature(trackFeature);
+
 	// Create a FeatureCollection with the track feature
 	const featureCollection = {
 		type: "FeatureCollection",
-		features: [trackFeature],
+		features: [feature],
 	};
 
 	// Convert to GPX using togpx
 	const gpxOutput = togpx(featureCollection, {
 		creator: "processGPX-js",
-		metadata: {
+		metadata: buildGPXMetadata({
 			name: trackFeature.properties?.name || "Processed Route",
-			time: new Date(),
-			author: {
-				name: "processGPX-js",
-			},
-		},
+			author: "processGPX-js",
+			...metadataFields,
+		}),
 	});
 
 	// Format the XML with proper indentation and newlines
-	return formatXML(gpxOutput);
+	return formatXML(
+		addGradientSummary(
+			addTrackSegmentNames(
+				addTrackPointExtensions(
+					addTrackPointTimes(gpxOutput, times),
+					"gradientSign",
+					gradientSigns,
+				),
+				names,
+			),
+			trackFeature.properties?.gradientSummary,
+		),
+	);
 }
 
 /**
  * Download a track feature as a GPX file
  * @param {Object} trackFeature - LineString feature object
  * @param {string} filename - Filename for download (without extension)
+ * @param {Object} metadataFields - Metadata fields for buildGPXMetadata()
  */
-export function downloadTrackAsGPX(trackFeature, filename) {
+export function downloadTrackAsGPX(trackFeature, filename, metadataFields) {
 	// Generate GPX content
-	const gpxContent = trackFeatureToGPX(trackFeature);
+	const gpxContent = trackFeatureToGPX(trackFeature, metadataFields);
 
 	// Create blob and download
 	const blob = new Blob([gpxContent], { type: "application/gpx+xml" });
@@ -1,13 +1,27 @@
 /**
  * GPX parsing using togeojson
  */
+import {
+	getTracks,
+	joinTracks,
+	listTracks,
+	selectTrack,
+} from "./process-gpx.js";
+
 export class GPXParser {
+	constructor() {
+		this.tracks = [];
+		this.fileName = "";
+	}
+
 	/**
-	 * Parse GPX file to GeoJSON and return first LineString feature
+	 * Parse GPX file to GeoJSON and return the selected track as a LineString
+	 * feature, or the joined tracks if options.join lists any
 	 * @param {File} file - GPX file to parse
-	 * @returns {Promise<Object>} First LineString feature from GeoJSON
+	 * @param {Object} options - Processing options (uses join and selectedTrack)
+	 * @returns {Promise<Object>} LineString feature from GeoJSON
 	 */
-	async parseFile(file) {
+	async parseFile(file, options = {}) {
 		try {
 			const gpxText = await this.readFileAsText(file);
 			const gpxDoc = new DOMParser().parseFromString(gpxText, "text/xml");
@@ -17,30 +31,53 @@ export class GPXParser {
 				throw new Error("No tracks found in GPX file");
 			}
 
-			// Find the first LineString feature (track)
-			const trackFeature = geoJson.features.find(
-				(feature) => feature.geometry && feature.geometry.type === "LineString",
-			);
-
-			if (!trackFeature) {
-				throw new Error("No track LineString found in GPX file");
-			}
+			this.tracks = getTracks(geoJson);
+			this.fileName = file.name;
 
-			// If track has no name, use filename without .gpx extension
-			if (!trackFeature.properties || !trackFeature.properties.name) {
-				const basename = file.name.replace(/\.gpx$/i, "");
-				if (!trackFeature.properties) {
-					trackFeature.properties = {};
-				}
-				trackFeature.properties.name = basename;
-			}
+			// Join the requested tracks, else select a single track
+			const trackFeature = options.join?.length
+				? joinTracks(this.tracks, options.join)
+				: selectTrack(this.tracks, options.selectedTrack ?? 0);
 
-			return trackFeature;
+			return this.nameTrack(trackFeature);
 		} catch (error) {
 			throw new Error(`Failed to parse GPX file: ${error.message}`);
 		}
 	}
 
+	/**
+	 * List the tracks of the last parsed file
+	 * @returns {Array} Array of {index, name, points, distance} objects
+	 */
+	getTrackList() {
+		return listTracks(this.tracks);
+	}
+
+	/**
+	 * Select a track of the last parsed file
+	 * @param {number} index - Track index
+	 * @returns {Object} LineString feature of the track
+	 */
+	selectTrack(index) {
+		return this.nameTrack(selectTrack(this.tracks, index));
+	}
+
+	/**
+	 * If track has no name, use filename without .gpx extension
+	 * @param {Object} trackFeature - LineString feature
+	 * @returns {Object} The same feature
+	 */
+	nameTrack(trackFeature) {
+		if (!trackFeature.properties || !trackFeature.properties.name) {
+			const basename = this.fileName.replace(/\.gpx$/i, "");
+			if (!trackFeature.properties) {
+				trackFeature.properties = {};
+			}
+			trackFeature.properties.name = basename;
+		}
+		return trackFeature;
+	}
+
 	/**
 	 * Read file as text
 	 * @param {File} file
@@ -27,6 +27,10 @@ class ProcessGPXApp {
 		const fileInput = document.getElementById("gpxFile");
 		fileInput.addEventListener("change", (e) => this.handleFileUpload(e));
 
+		// Track picker for multi-track files
+		const trackSelect = document.getElementById("trackSelect");
+		trackSelect.addEventListener("change", (e) => this.handleTrackChange(e));
+
 		// Error back button
 		const errorBackBtn = document.getElementById("errorBackBtn");
 		errorBackBtn.addEventListener("click", () => this.showUploadScreen());
@@ -51,8 +55,8 @@ class ProcessGPXApp {
 		try {
 			this.showLoading("Parsing GPX file...");
 
-			// Parse GPX file to get first LineString feature
-			const trackFeature = await this.gpxParser.parseFile(file);
+			// Parse GPX file to get first LineString feature (or joined tracks)
+			const trackFeature = await this.gpxParser.parseFile(file, defaultOptions);
 			this.currentRoute = trackFeature;
 
 			this.updateLoadingMessage("Setting up visualization...");
@@ -60,8 +64,9 @@ class ProcessGPXApp {
 			// Show results screen
 			this.showResultsScreen();
 
-			// Update track name in sidebar
+			// Update track name and track picker in sidebar
 			this.updateTrackName(trackFeature);
+			this.updateTrackPicker();
 
 			// Initialize map and chart
 			await this.initializeVisualization(trackFeature);
@@ -73,6 +78,28 @@ class ProcessGPXApp {
 		}
 	}
 
+	/**
+	 * Handle selection of a different track in a multi-track file
+	 * @param {Event} event
+	 */
+	async handleTrackChange(event) {
+		const index = Number(event.target.value);
+
+		try {
+			const trackFeature = this.gpxParser.selectTrack(index);
+			this.currentRoute = trackFeature;
+			this.processedRoute = null;
+			this.disableExportButton();
+
+			this.destroyVisualization();
+			this.updateTrackName(trackFeature);
+			await this.initializeVisualization(trackFeature);
+		} catch (error) {
+			console.error("Error selecting track:", error);
+			this.showError(error.message);
+		}
+	}
+
 	/**
 	 * Initialize map and elevation chart
 	 * @param {Object} trackFeature - LineString feature object
@@ -161,8 +188,41 @@ class ProcessGPXApp {
 		const originalName = this.currentRoute?.properties?.name || "route";
 		const processedFilename = `${originalName}_processed`;
 
+		// The title names the track as well as the file
+		const metadata = this.getMetadataFields();
+		const route = metadata.name
+			? {
+					...this.processedRoute,
+					properties: {
+						...this.processedRoute.properties,
+						name: metadata.name,
+					},
+				}
+			: this.processedRoute;
+
 		// Download the processed route
-		downloadTrackAsGPX(this.processedRoute, processedFilename);
+		downloadTrackAsGPX(route, processedFilename, metadata);
+	}
+
+	/**
+	 * Read the GPX details form, omitting empty fields
+	 * @returns {Object} Metadata fields for the GPX export
+	 */
+	getMetadataFields() {
+		const fields = {
+			name: "metadataTitle",
+			description: "metadataDescription",
+			author: "metadataAuthor",
+			copyright: "metadataCopyright",
+			keywords: "metadataKeywords",
+			link: "metadataLink",
+		};
+		const metadata = {};
+		for (const [field, id] of Object.entries(fields)) {
+			const value = document.getElementById(id).value.trim();
+			if (value) metadata[field] = value;
+		}
+		return metadata;
 	}
 
 	/**
@@ -183,6 +243,25 @@ class ProcessGPXApp {
 		exportBtn.classList.add("disabled");
 	}
 
+	/**
+	 * Fill the track picker, shown only if the file has more than one track
+	 */
+	updateTrackPicker() {
+		const trackPicker = document.getElementById("trackPicker");
+		const trackSelect = document.getElementById("trackSelect");
+		const tracks = this.gpxParser.getTrackList();
+
+		trackSelect.innerHTML = "";
+		for (const track of tracks) {
+			const option = document.createElement("option");
+			option.value = track.index;
+			option.textContent = `${track.name} (${(track.distance / 1000).toFixed(1)} km)`;
+			trackSelect.appendChild(option);
+		}
+		trackSelect.value = defaultOptions.selectedTrack;
+		trackPicker.classList.toggle("hidden", tracks.length <= 1);
+	}
+
 	/**
 	 * Update track name display in sidebar
 	 * @param {Object} trackFeature - LineString feature object
@@ -191,6 +270,8 @@ class ProcessGPXApp {
 		const trackNameElement = document.getElementById("trackName");
 		const trackName = trackFeature.properties?.name || "Unnamed Route";
 		trackNameElement.textContent = trackName;
+		document.getElementById("metadataTitle").value =
+			trackFeature.properties?.name || "";
 	}
 
 	/**
@@ -211,6 +292,13 @@ class ProcessGPXApp {
 		this.disableExportButton();
 
 		// Clean up visualizations
+		this.destroyVisualization();
+	}
+
+	/**
+	 * Destroy map and elevation chart
+	 */
+	destroyVisualization() {
 		if (this.mapVisualization) {
 			this.mapVisualization.destroy();
 			this.mapVisualization = null;
@@ -44,6 +44,8 @@ export const defaultOptions = {
 	// Smoothing controls
 	gAutoSmooth: 0,
 	gradientPower: 2,
+	gradientSignHysteresis: 1,
+	gradientSignThreshold: 2,
 	gradientThreshold: 100,
 	gSmooth: 0,
 
@@ -101,6 +103,7 @@ export const defaultOptions = {
 	vFlag: 0,
 
 	// Altitude settings
+	flattenInterpolate: 0,
 	zAutoSmooth: 0,
 	xShift: 0,
 	yShift: 0,
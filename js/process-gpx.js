@@ -7,6 +7,7 @@
 const PI = Math.atan2(0, -1);
 const PI2 = Math.atan2(1, 0); // π/2 - used by transition function
 const TWOPI = 2 * PI;
+const SQRT2PI = Math.sqrt(TWOPI);
 const REARTH = 20037392 / PI;
 const DEG2RAD = PI / 180;
 const LAT2Y = REARTH * DEG2RAD;
@@ -146,7 +147,8 @@ export function generateTabularOutput(points, options = {}) {
 }
 
 function dumpPoints(points, filename) {
-	const match = filename.match(/^(\d+)-js-(.+)\.txt$/);
+	// stages inserted between numbered stages have a letter suffix, e.g. 25b
+	const match = filename.match(/^(\d+[a-z]?)-js-(.+)\.txt$/);
 	if (match) {
 		const [, stageNum, stageName] = match;
 		note(`Stage ${stageNum} (${stageName}) complete: ${points.length} points`);
@@ -613,9 +615,62 @@ function interpolatePoint(p1, p2, f, courseDistance = 0, isLoop = 0) {
 	return p;
 }
 
-// TODO: Translate pointAtPosition() from Perl
+/**
+ * Find the point at a distance along the course, interpolating if needed
+ * @param {Array} points - Array of points with distance field
+ * @param {number} s - Distance along the course
+ * @returns {Object} Point at the distance (a copy)
+ */
+function pointAtPosition(points, s) {
+	const i = bracketPosition(points, s);
+	if (i >= maxIndex(points)) {
+		return { ...points[maxIndex(points)] };
+	}
+	const ds = points[i + 1].distance - points[i].distance;
+	const f = ds > 0 ? (s - points[i].distance) / ds : 0;
+	if (f <= 0) return { ...points[i] };
+	return interpolatePoint(points[i], points[i + 1], f);
+}
+
+/**
+ * Add a point at a distance along the course, unless there is already one
+ * within 10 cm
+ * @param {Array} points - Array of points with distance field
+ * @param {number} s - Distance along the course
+ * @returns {number} Index of the point at the distance
+ */
+function addPointAtPosition(points, s) {
+	const i = bracketPosition(points, s);
+	if (Math.abs(points[i].distance - s) < 0.1) return i;
+	if (i < maxIndex(points) && Math.abs(points[i + 1].distance - s) < 0.1) {
+		return i + 1;
+	}
+	points.splice(i + 1, 0, pointAtPosition(points, s));
+	return i + 1;
+}
 
-// TODO: Translate bracketPosition() from Perl
+/**
+ * Find the index of the last point at or before a distance along the course,
+ * by bisection of the distance field
+ * @param {Array} points - Array of points with distance field
+ * @param {number} s - Distance along the course
+ * @returns {number} Index of the point (0 if s precedes the course)
+ */
+function bracketPosition(points, s) {
+	let i1 = 0;
+	let i2 = maxIndex(points);
+	if (s <= points[i1].distance) return i1;
+	if (s >= points[i2].distance) return i2;
+	while (i2 - i1 > 1) {
+		const i = Math.floor((i1 + i2) / 2);
+		if (points[i].distance <= s) {
+			i1 = i;
+		} else {
+			i2 = i;
+		}
+	}
+	return i1;
+}
 
 // TODO: Translate fieldAtPosition() from Perl
 
@@ -3660,6 +3715,69 @@ function bikeSpeedModel(g = 0, vMax = 17, VAMMax = 0.53, v0 = 9.5) {
 	return vMax / fV;
 }
 
+/**
+ * Rider model from the processing options. Without a power (or FTP, of which
+ * 75% is held), speeds come from bikeSpeedModel().
+ * @param {Object} options - Processing options
+ * @returns {Object} Rider model {mass, power, CdA, Crr, vMax, aCorner}, with
+ *   speeds in m/s
+ */
+function riderModel(options = {}) {
+	const power =
+		options.riderPower ??
+		(options.riderFTP !== undefined ? 0.75 * options.riderFTP : undefined);
+	return {
+		mass: options.riderMass ?? 80,
+		power: power > 0 ? power : undefined,
+		CdA: options.riderCdA ?? 0.3,
+		Crr: options.riderCrr ?? 0.004,
+		vMax: options.riderMaxSpeed > 0 ? options.riderMaxSpeed / 3.6 : undefined,
+		aCorner:
+			options.riderCornerAccel > 0 ? options.riderCornerAccel : undefined,
+	};
+}
+
+/**
+ * Speed of a rider at constant power: the speed at which the power balances
+ * gravity, rolling resistance and air resistance
+ * @param {number} g - Gradient (rise/run)
+ * @param {Object} rider - Rider model from riderModel(), with power
+ * @returns {number} Speed in m/s
+ */
+function riderSpeed(g, rider) {
+	const rho = 1.2; // air density, kg/m^3
+	const cosTheta = 1 / Math.sqrt(1 + g ** 2);
+	const sinTheta = g * cosTheta;
+	const force = rider.mass * 9.81 * (sinTheta + rider.Crr * cosTheta);
+	const k = 0.5 * rho * rider.CdA;
+
+	// power needed at speed v increases with v past any negative part, so
+	// bisect for the speed at which it equals the rider's power
+	let v1 = 0;
+	let v2 = 100;
+	while (v2 - v1 > 0.001) {
+		const v = (v1 + v2) / 2;
+		if ((k * v ** 2 + force) * v < rider.power) {
+			v1 = v;
+		} else {
+			v2 = v;
+		}
+	}
+	return (v1 + v2) / 2;
+}
+
+/**
+ * Format a duration in seconds as h:mm:ss
+ * @param {number} t - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(t) {
+	const s = Math.round(t);
+	const h = Math.floor(s / 3600);
+	const m = Math.floor((s % 3600) / 60);
+	return `${h}:${String(m).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
+}
+
 /**
  * Calculate distance difference between two points on course
  * @param {Object} p1 - First point with distance field
@@ -3712,19 +3830,376 @@ function pointSeparation(p1, p2, courseDistance, isLoop) {
 	return Math.abs(d);
 }
 
-// TODO: Translate addDuration() from Perl
+/**
+ * Add a duration field: estimated riding time from the start, in seconds,
+ * from the rider model, or the bike speed model if the rider has no power
+ * @param {Array} points - Array of points
+ * @param {Object} rider - Rider model from riderModel()
+ * @param {number} isLoop - Whether the track is a loop (0 or 1)
+ * @returns {number} Total duration in seconds
+ */
+function addDuration(points, rider = riderModel(), isLoop = 0) {
+	if (!points.length) return 0;
+	addDistanceField(points);
+	if (rider.aCorner !== undefined) {
+		addCurvatureField(points, isLoop);
+	}
+	const ts = [0];
+	const gs = [0];
+
+	for (let i = 0; i < maxIndex(points); i++) {
+		const dd = points[i + 1].distance - points[i].distance;
+		const gradient =
+			dd === 0 ? gs[gs.length - 1] : (points[i + 1].ele - points[i].ele) / dd;
+		gs.push(gradient);
+		let speed =
+			rider.power === undefined
+				? bikeSpeedModel(gradient)
+				: riderSpeed(gradient, rider);
+		if (rider.vMax !== undefined) {
+			speed = Math.min(speed, rider.vMax);
+		}
+		// cornering speed: lateral acceleration v^2 / r within the limit
+		if (rider.aCorner !== undefined) {
+			const curvature = Math.max(
+				Math.abs(points[i].curvature),
+				Math.abs(points[i + 1].curvature),
+			);
+			if (curvature > 0) {
+				speed = Math.min(speed, Math.sqrt(rider.aCorner / curvature));
+			}
+		}
+		const deltaTime = (points[i + 1].distance - points[i].distance) / speed;
+		ts.push(ts[ts.length - 1] + deltaTime);
+	}
+
+	for (let i = 0; i < points.length; i++) {
+		points[i].duration = ts[i];
+	}
+	return ts[ts.length - 1];
+}
+
+/**
+ * Report the estimated moving time of each segment: each run of points in the
+ * same segment, with points in segment 0 in the segment before them
+ * @param {Array} points - Array of points with distance and duration fields
+ * @param {Object} segmentNames - Object mapping segment numbers to names
+ */
+function noteSegmentTimes(points, segmentNames = {}) {
+	const runs = [];
+	for (const p of points) {
+		const segment = p.segment || runs[runs.length - 1]?.segment || 1;
+		if (runs[runs.length - 1]?.segment !== segment) {
+			// each run starts where the one before it ends
+			runs.push({ segment, p1: runs[runs.length - 1]?.p2 ?? p });
+		}
+		runs[runs.length - 1].p2 = p;
+	}
+	if (runs.length < 2 && !Object.keys(segmentNames).length) return;
+
+	for (const { segment, p1, p2 } of runs) {
+		const name = segmentNames[segment] ?? `segment ${segment}`;
+		note(
+			`${name}: ${((p2.distance - p1.distance) / 1000).toFixed(3)} km, moving time ${formatDuration(p2.duration - p1.duration)}`,
+		);
+	}
+}
+
+/**
+ * Find the distance along the course at which a duration is reached
+ * @param {Array} points - Array of points with distance and duration fields
+ * @param {number} t - Duration in seconds
+ * @returns {number} Distance in meters
+ */
+function distanceAtDuration(points, t) {
+	if (t <= points[0].duration) return points[0].distance;
+	for (let i = 1; i < points.length; i++) {
+		if (points[i].duration >= t) {
+			const dt = points[i].duration - points[i - 1].duration;
+			const f = dt > 0 ? (t - points[i - 1].duration) / dt : 0;
+			return (
+				points[i - 1].distance +
+				f * (points[i].distance - points[i - 1].distance)
+			);
+		}
+	}
+	return points[maxIndex(points)].distance;
+}
+
+/**
+ * Find distances to split a course into pieces of equal estimated riding time.
+ * Each split is moved to the flattest, straightest point within a window around
+ * the equal-time position.
+ * @param {Array} points - Array of points
+ * @param {number} nPieces - Number of pieces
+ * @param {number} isLoop - Whether the track is a loop (0 or 1)
+ * @returns {Array} Split distances in meters
+ */
+function findAutoSplits(points, nPieces, isLoop = 0, rider = riderModel()) {
+	if (nPieces < 2 || points.length < 3) return [];
+
+	const pCopy = points.map((p) => ({ ...p }));
+	const tTotal = addDuration(pCopy, rider, isLoop);
+	addGradientField(pCopy, isLoop);
+	addCurvatureField(pCopy, isLoop);
+
+	// the split may move by up to 10% of a piece's riding time
+	const tPiece = tTotal / nPieces;
+	const dtMax = 0.1 * tPiece;
+
+	// score of a point as a split location: look at the road within 50 meters
+	const window = 50;
+	const splitScore = (i) => {
+		let curvatureMax = 0;
+		let gradientSum = 0;
+		let n = 0;
+		let j = i;
+		while (j > 0 && pCopy[i].distance - pCopy[j - 1].distance < window) {
+			j--;
+		}
+		for (
+			;
+			j < pCopy.length && pCopy[j].distance - pCopy[i].distance < window;
+			j++
+		) {
+			curvatureMax = Math.max(curvatureMax, Math.abs(pCopy[j].curvature));
+			gradientSum += Math.abs(pCopy[j].gradient);
+			n++;
+		}
+		// 100 m radius or 5% gradient each count as one unit
+		return 100 * curvatureMax + (20 * gradientSum) / n;
+	};
+
+	const splits = [];
+	for (let k = 1; k < nPieces; k++) {
+		const t = tPiece * k;
+		let iBest;
+		let scoreBest = Infinity;
+		for (let i = 1; i < maxIndex(pCopy); i++) {
+			const dt = Math.abs(pCopy[i].duration - t);
+			if (dt > dtMax) continue;
+			const score = splitScore(i) + dt / dtMax;
+			if (score < scoreBest) {
+				scoreBest = score;
+				iBest = i;
+			}
+		}
+		const s =
+			iBest === undefined
+				? distanceAtDuration(pCopy, t)
+				: pCopy[iBest].distance;
+		note(
+			`auto split ${k}: ${(s / 1000).toFixed(3)} km (equal time at ${(distanceAtDuration(pCopy, t) / 1000).toFixed(3)} km)`,
+		);
+		splits.push(s);
+	}
+	return splits;
+}
+
+/**
+ * Parse named segments: a comma-separated list of start:end:name, with start
+ * and end distances in meters along the original course
+ * @param {string} namedSegments - Named segments option
+ * @returns {Array} Named segments {s1, s2, name}, in order along the course
+ */
+function parseNamedSegments(namedSegments) {
+	if (namedSegments === undefined || namedSegments === "") return [];
+	const segments = String(namedSegments)
+		.split(",")
+		.map((field) => {
+			const [start, end, ...name] = field.split(":");
+			const s1 = Number(start);
+			const s2 = Number(end);
+			if (
+				start.trim() === "" ||
+				!Number.isFinite(s1) ||
+				!Number.isFinite(s2) ||
+				s2 <= s1 ||
+				name.join(":").trim() === ""
+			) {
+				die(`namedSegments: expected start:end:name, got "${field}"`);
+			}
+			return { s1, s2, name: name.join(":").trim() };
+		})
+		.sort((a, b) => a.s1 - b.s1);
+	for (let i = 1; i < segments.length; i++) {
+		if (segments[i].s1 < segments[i - 1].s2) {
+			die(
+				`namedSegments: "${segments[i - 1].name}" and "${segments[i].name}" overlap`,
+			);
+		}
+	}
+	return segments;
+}
+
+/**
+ * Put the points between two distances in a new named segment, adding points at
+ * its ends. Segment numbers follow the highest in use.
+ * @param {Array} points - Array of points with distance and segment fields
+ * @param {number} s1 - Start distance
+ * @param {number} s2 - End distance
+ * @param {string} name - Segment name
+ * @param {Object} segmentNames - Object mapping segment numbers to names, updated
+ * @returns {boolean} False if the range overlaps a named segment
+ */
+function addSegment(points, s1, s2, name, segmentNames) {
+	const inRange = (p) => p.distance >= s1 - 0.1 && p.distance <= s2 + 0.1;
+	if (points.some((p) => inRange(p) && segmentNames[p.segment] !== undefined)) {
+		return false;
+	}
+
+	let nSegment = 0;
+	for (const p of points) {
+		nSegment = Math.max(nSegment, p.segment ?? 0);
+	}
+	for (const k of Object.keys(segmentNames)) {
+		nSegment = Math.max(nSegment, Number(k));
+	}
+	nSegment++;
+
+	addPointAtPosition(points, s1);
+	addPointAtPosition(points, s2);
+	segmentNames[nSegment] = name;
+	for (const p of points) {
+		if (inRange(p)) {
+			p.segment = nSegment;
+		}
+	}
+	return true;
+}
+
+/**
+ * Rate a climb: its height, weighted by its average gradient in percent raised
+ * to a power (0: height alone)
+ * @param {number} dz - Height climbed in meters
+ * @param {number} length - Length of the climb in meters
+ * @param {number} power - Gradient weighting power
+ * @returns {number} Climb rating
+ */
+function climbRating(dz, length, power = 0.5) {
+	if (dz <= 0 || length <= 0) return 0;
+	return dz * ((100 * dz) / length) ** power;
+}
+
+/**
+ * Add named segments for climbs, rated with climbRating(). Segments keep
+ * autoSegmentStartMargin from the start, autoSegmentFinishMargin from the
+ * finish and autoSegmentMargin from each other; where climbs compete, the
+ * higher rated climb is kept.
+ * @param {Array} points - Array of points with segment field
+ * @param {Object} options - Processing options
+ * @param {Object} segmentNames - Object mapping segment numbers to names, updated
+ * @returns {Array} Points, with points added at the segment ends
+ */
+function addAutoSegments(points, options, segmentNames) {
+	const [minRating = 0, power = options.autoSegmentDefaultPower ?? 0.5] =
+		options.autoSegments.map(Number);
+	const startMargin = options.autoSegmentStartMargin ?? 340;
+	const finishMargin = options.autoSegmentFinishMargin ?? 20;
+	const margin = options.autoSegmentMargin ?? 400;
+	const names = (options.autoSegmentNames || "")
+		.split(",")
+		.map((name) => name.trim());
 
-// TODO: Translate distanceAtDuration() from Perl
+	addDistanceField(points);
+	const courseDistance = ix(points, -1).distance;
 
-// TODO: Translate addTime() from Perl
+	// climbs, cut back to the margins at the start and finish
+	const candidates = [];
+	for (const [i1, i2] of findClimbs(points, options.autoSegmentStretch)) {
+		const s1 = Math.max(points[i1].distance, startMargin);
+		const s2 = Math.min(points[i2].distance, courseDistance - finishMargin);
+		if (s2 - s1 < 1) continue;
+		const dz =
+			pointAtPosition(points, s2).ele - pointAtPosition(points, s1).ele;
+		const rating = climbRating(dz, s2 - s1, power);
+		if (rating > 0 && rating >= minRating) {
+			candidates.push({ s1, s2, dz, rating });
+		}
+	}
 
-// TODO: Translate climbRating() from Perl
+	const climbs = [];
+	for (const climb of candidates.sort((a, b) => b.rating - a.rating)) {
+		if (
+			climbs.every(
+				(c) => climb.s2 + margin <= c.s1 || climb.s1 >= c.s2 + margin,
+			)
+		) {
+			climbs.push(climb);
+		}
+	}
+	climbs.sort((a, b) => a.s1 - b.s1);
 
-// TODO: Translate addAutoSegments() from Perl
+	let nAdded = 0;
+	for (const { s1, s2, dz, rating } of climbs) {
+		const name = names[nAdded] || `Climb ${nAdded + 1}`;
+		if (!addSegment(points, s1, s2, name, segmentNames)) {
+			note(
+				`climb ${(s1 / 1000).toFixed(3)} km to ${(s2 / 1000).toFixed(3)} km overlaps a named segment: skipping`,
+			);
+			continue;
+		}
+		nAdded++;
+		note(
+			`segment "${name}": ${(s1 / 1000).toFixed(3)} km to ${(s2 / 1000).toFixed(3)} km, ${dz.toFixed(1)} m at ${((100 * dz) / (s2 - s1)).toFixed(1)}%, rating ${rating.toFixed(1)}`,
+		);
+	}
+	note(`auto segments: ${nAdded} of ${candidates.length} climbs`);
+	return points;
+}
 
-// TODO: Translate findClimbs() from Perl
+/**
+ * Find climbs: rises from a low point to a high point, ignoring altitude changes
+ * less than a hysteresis, and continuing through dips of less than a fraction
+ * (the stretch) of the combined climb
+ * @param {Array} points - Array of points
+ * @param {number} stretch - Largest dip, as a fraction of the climb height
+ * @param {number} hysteresis - Smallest altitude change, in meters
+ * @returns {Array} Climbs [i1, i2]: indices of the low and high points
+ */
+function findClimbs(points, stretch = 0.05, hysteresis = 5) {
+	const climbs = [];
+	let iLow = 0;
+	let iHigh = 0;
+	let rising = false;
+	for (let i = 1; i < points.length; i++) {
+		const z = points[i].ele;
+		if (rising) {
+			if (z > points[iHigh].ele) {
+				iHigh = i;
+			} else if (points[iHigh].ele - z > hysteresis) {
+				climbs.push([iLow, iHigh]);
+				rising = false;
+				iLow = i;
+			}
+		} else if (z <= points[iLow].ele) {
+			iLow = i;
+		} else if (z - points[iLow].ele > hysteresis) {
+			rising = true;
+			iHigh = i;
+		}
+	}
+	if (rising) {
+		climbs.push([iLow, iHigh]);
+	}
 
-// TODO: Translate placeGradientSigns() from Perl
+	// join climbs separated by small dips
+	for (let k = 0; k < climbs.length - 1; ) {
+		const [i1, i2] = climbs[k];
+		const [i3, i4] = climbs[k + 1];
+		const dip = points[i2].ele - points[i3].ele;
+		if (
+			points[i4].ele > points[i2].ele &&
+			dip < stretch * (points[i4].ele - points[i1].ele)
+		) {
+			climbs.splice(k, 2, [i1, i4]);
+			if (k > 0) k--;
+		} else {
+			k++;
+		}
+	}
+	return climbs;
+}
 
 // TODO: Translate findCorners() from Perl
 
@@ -3764,9 +4239,112 @@ function circle3PointFit(p1, p2, p3) {
 	return [[x0, y0], r];
 }
 
-// TODO: Translate fitCircle() from Perl
+/**
+ * Fit a circle to a range of points, averaging three-point fits across the range
+ * @param {Array} points - Array of points
+ * @param {number} startIndex - Start index
+ * @param {number} endIndex - End index
+ * @returns {Array} [center, radius] with center [x, y] relative to the start point,
+ *   or [undefined, undefined] if the points are collinear
+ */
+function fitCircle(points, startIndex, endIndex) {
+	const xys = [];
+	for (let i = startIndex; i <= endIndex; i++) {
+		xys.push(latlng2dxdy(points[startIndex], points[i]));
+	}
+	const N = xys.length;
+	if (N < 3) return [undefined, undefined];
+
+	// triples of points spaced by a third of the range
+	const di = Math.max(1, Math.round((N - 1) / 3));
+	let xSum = 0;
+	let ySum = 0;
+	let rSum = 0;
+	let n = 0;
+	for (let i = 0; i + 2 * di < N; i++) {
+		const [xy0, r] = circle3PointFit(xys[i], xys[i + di], xys[i + 2 * di]);
+		if (r === undefined) continue;
+		xSum += xy0[0];
+		ySum += xy0[1];
+		rSum += r;
+		n++;
+	}
+	if (n === 0) return [undefined, undefined];
+	return [[xSum / n, ySum / n], rSum / n];
+}
+
+/**
+ * replace the course between distances with circular arcs. The radius is the
+ * best fit to the points in each range; where the range has straight points
+ * before and after it, the arc is fit tangent to them, otherwise it joins the
+ * ends of the range.
+ * @param {Array} points - Array of points
+ * @param {boolean} _isLoop - Whether route is a loop
+ * @param {Array} ranges - Array of [start, end] distance pairs
+ * @returns {Array} Processed points
+ */
+function processCircle(points, _isLoop, ranges) {
+	const dTheta = 5 * DEG2RAD;
+
+	// process from the finish back, so adding points leaves earlier ranges in place
+	const sortedRanges = ranges
+		.map(([s1, s2]) => (s1 > s2 ? [s2, s1] : [s1, s2]))
+		.sort((a, b) => b[0] - a[0]);
+
+	for (const [s1, s2] of sortedRanges) {
+		addDistanceField(points);
+		const courseDistance = ix(points, -1).distance;
+		if (s1 < 0 || s2 > courseDistance || s2 - s1 < 1) {
+			warn(
+				`WARNING: circle range ${s1} to ${s2} is not on the course (length ${courseDistance.toFixed(1)}): ignoring`,
+			);
+			continue;
+		}
+
+		const i2 = addPointAtPosition(points, s2);
+		const i1 = addPointAtPosition(points, s1);
+		if (i2 - i1 < 2) {
+			warn(`WARNING: circle range ${s1} to ${s2} has too few points: ignoring`);
+			continue;
+		}
+
+		const [, R] = fitCircle(points, i1, i2);
+		if (R === undefined) {
+			warn(`WARNING: circle range ${s1} to ${s2} is straight: ignoring`);
+			continue;
+		}
+
+		// an arc tangent to the course on either side, if there is one
+		let arcPoints = [];
+		if (i1 > 0 && i2 < maxIndex(points)) {
+			arcPoints = arcFit(
+				points[i1 - 1],
+				points[i1],
+				points[i2],
+				points[i2 + 1],
+				R,
+				dTheta,
+			);
+		}
+		if (arcPoints.length) {
+			points.splice(i1 + 1, i2 - i1 - 1, ...arcPoints);
+		} else {
+			// turns of 180 degrees or more: an arc joining the ends
+			arcPoints = fitArc(points.slice(i1, i2 + 1), dTheta, Infinity, 1);
+			if (arcPoints === undefined) {
+				warn(`WARNING: failed to fit circle from ${s1} to ${s2}: ignoring`);
+				continue;
+			}
+			points.splice(i1, i2 - i1 + 1, ...arcPoints);
+		}
+		note(
+			`circle ${s1} to ${s2}: radius = ${R.toFixed(1)} meters, ${arcPoints.length} points`,
+		);
+	}
 
-// TODO: Translate processCircle() from Perl
+	deleteDerivedFields(points);
+	return points;
+}
 
 /**
  * straighten points between indices
@@ -3809,7 +4387,71 @@ function straightenPoints(points, _isLoop, startIndex, endIndex) {
 	}
 }
 
-// TODO: Translate processStraight() from Perl
+/**
+ * straighten the course between distances, adding points at the ends of each
+ * range. Altitudes follow the original profile, compressed to the shorter
+ * straightened length.
+ * @param {Array} points - Array of points
+ * @param {boolean} isLoop - Whether route is a loop
+ * @param {Array} ranges - Array of [start, end] distance pairs
+ * @returns {Array} Processed points
+ */
+function processStraight(points, isLoop, ranges) {
+	// process from the finish back, so adding points leaves earlier ranges in place
+	const sortedRanges = ranges
+		.map(([s1, s2]) => (s1 > s2 ? [s2, s1] : [s1, s2]))
+		.sort((a, b) => b[0] - a[0]);
+
+	for (const [s1, s2] of sortedRanges) {
+		addDistanceField(points);
+		const courseDistance = ix(points, -1).distance;
+		if (s1 < 0 || s2 > courseDistance || s2 - s1 < 1) {
+			warn(
+				`WARNING: straight range ${s1} to ${s2} is not on the course (length ${courseDistance.toFixed(1)}): ignoring`,
+			);
+			continue;
+		}
+
+		const i2 = addPointAtPosition(points, s2);
+		const i1 = addPointAtPosition(points, s1);
+		if (i2 - i1 < 2) continue;
+
+		const [avg, max, rms] = calcDeviationStats(points, i1, i2);
+		note(
+			`straightening ${s1} to ${s2}: deviation avg = ${avg.toFixed(2)}, max = ${max.toFixed(2)}, rms = ${rms.toFixed(2)}`,
+		);
+
+		const profile = points
+			.slice(i1, i2 + 1)
+			.map((p) => ({ distance: p.distance - s1, ele: p.ele }));
+		const L = s2 - s1;
+
+		straightenPoints(points, isLoop, i1, i2);
+
+		// altitude at the same fraction of the original profile
+		const LNew = latlngDistance(points[i1], points[i2]);
+		for (let i = i1 + 1; i < i2; i++) {
+			const f = Math.min(
+				1,
+				Math.max(0, latlngDistance(points[i1], points[i]) / LNew),
+			);
+			const sOld = f * L;
+			const j = bracketPosition(profile, sOld);
+			if (j >= maxIndex(profile)) {
+				points[i].ele = ix(profile, -1).ele;
+				continue;
+			}
+			const ds = profile[j + 1].distance - profile[j].distance;
+			const g = ds > 0 ? (sOld - profile[j].distance) / ds : 0;
+			points[i].ele =
+				profile[j].ele + g * (profile[j + 1].ele - profile[j].ele);
+		}
+		note(`straightened length: ${L.toFixed(1)} to ${LNew.toFixed(1)} meters`);
+	}
+
+	deleteDerivedFields(points);
+	return points;
+}
 
 /**
  * calculate deviation statistics for a range of points relative to connection of endpoints
@@ -4006,57 +4648,236 @@ function autoStraighten(
 	}
 }
 
-// TODO: Translate circuitFromPosition() from Perl
-
-// TODO: Translate shiftCircuit() from Perl
-
-// TODO: Translate calcSeparation() from Perl
-
-// TODO: Translate simplifyProfile() from Perl
-
 /**
- * add distance field to points
- * @param {Array} points - Array of points
+ * Parse a map position given as "lat,lon" or as separate lat and lon values
+ * @param {Array|string} values - Position values
+ * @param {string} name - Option name, for error messages
+ * @returns {Object|undefined} Position {lat, lon}, or undefined if none given
  */
-function addDistanceField(points) {
-	if (!points.length) return;
-	points[0].distance = 0;
-	for (let i = 1; i < points.length; i++) {
-		points[i].distance =
-			points[i - 1].distance + latlngDistance(points[i - 1], points[i]);
+function parsePosition(values, name) {
+	const fields = [values]
+		.flat()
+		.join(",")
+		.split(/[\s,]+/)
+		.filter((v) => v !== "");
+	if (fields.length === 0) return undefined;
+	const [lat, lon] = fields.map(Number);
+	if (
+		fields.length !== 2 ||
+		!Number.isFinite(lat) ||
+		!Number.isFinite(lon) ||
+		Math.abs(lat) > 90 ||
+		Math.abs(lon) > 180
+	) {
+		die(`${name} requires a position lat,lon: got ${fields.join(",")}`);
 	}
+	return { lat, lon };
 }
 
 /**
- * Add distance field only if not already present
+ * Find where the course passes a position: for each pass within dMax meters,
+ * the closest approach, as a segment index and fraction along it
  * @param {Array} points - Array of points
+ * @param {Object} position - Position {lat, lon}
+ * @param {number} dMax - Maximum distance of a pass from the position
+ * @returns {Array} Passes [i, f, d]: segment i to i + 1, fraction f, distance d
  */
-function addDistanceFieldIfNeeded(points) {
-	if (points.length) {
-		if (
-			points[0].distance === undefined ||
-			points[points.length - 1].distance === undefined
-		) {
-			addDistanceField(points);
+function findPasses(points, position, dMax = 50) {
+	const passes = [];
+	let pass;
+	for (let i = 0; i < maxIndex(points); i++) {
+		const [f0, d0] = xyPointOnLine(
+			latlng2dxdy(position, points[i]),
+			latlng2dxdy(position, points[i + 1]),
+			[0, 0],
+		);
+		let f = f0;
+		let d = d0;
+		if (f === undefined || f < 0 || f > 1) {
+			// closest approach is at an end of the segment
+			const d1 = latlngDistance(position, points[i]);
+			const d2 = latlngDistance(position, points[i + 1]);
+			[f, d] = d1 <= d2 ? [0, d1] : [1, d2];
+		}
+		if (d > dMax) {
+			pass = undefined;
+			continue;
+		}
+		if (pass === undefined) {
+			pass = [i, f, d];
+			passes.push(pass);
+		} else if (d < pass[2]) {
+			pass.splice(0, 3, i, f, d);
 		}
 	}
+	return passes;
 }
 
 /**
- * Add gradient field to points based on elevation changes
+ * extract a single lap of a circuit: from a pass of one position to the next
+ * pass of another, or of the same position. A finish position must be within
+ * 50 meters of the start, so the lap closes into a loop.
  * @param {Array} points - Array of points
- * @param {number} isLoop - Whether the track is a loop (0 or 1)
+ * @param {Object} fromPosition - Start position {lat, lon}
+ * @param {Object} toPosition - Finish position {lat, lon}
+ * @returns {Array} Points of the lap
  */
-function addGradientField(points, isLoop = 0) {
-	if (!points.length) return;
-	addDistanceField(points);
-	const courseDistance = calcCourseDistance(points, isLoop);
-	let i = 0;
-	const iMax = maxIndex(points);
-	while (i <= iMax) {
-		const p1 = points[i];
-		let j = (i + 1) % points.length;
-		while (
+function circuitFromPosition(points, fromPosition, toPosition = fromPosition) {
+	const fromPasses = findPasses(points, fromPosition);
+	if (fromPasses.length === 0) {
+		die(
+			`circuitFromPosition ${fromPosition.lat},${fromPosition.lon} is not within 50 meters of the course`,
+		);
+	}
+	const toPasses = findPasses(points, toPosition);
+	note(
+		`circuit positions: ${fromPasses.length} passes of start, ${toPasses.length} passes of finish`,
+	);
+
+	// the first pass of the start position, and the pass of the finish closest
+	// to where the course returns to the start
+	const [i1, f1] = fromPasses[0];
+	if (fromPasses.length < 2) {
+		die(
+			"circuitFromPosition: no complete lap found: the course doesn't return",
+		);
+	}
+	const [j1, g1] = fromPasses[1];
+	let toPass;
+	for (const pass of toPasses) {
+		const [i, f] = pass;
+		if (
+			i + f > i1 + f1 &&
+			(toPass === undefined ||
+				Math.abs(i + f - j1 - g1) < Math.abs(toPass[0] + toPass[1] - j1 - g1))
+		) {
+			toPass = pass;
+		}
+	}
+	if (toPass === undefined) {
+		die("circuitToPosition: no complete lap found after circuitFromPosition");
+	}
+	const [i2, f2] = toPass;
+
+	const lap = [interpolatePoint(points[i1], points[i1 + 1], f1)];
+	for (let i = i1 + 1; i <= i2; i++) {
+		lap.push({ ...points[i] });
+	}
+	const pLast = interpolatePoint(points[i2], points[i2 + 1], f2);
+	const dClose = latlngDistance(pLast, lap[0]);
+	if (dClose > 50) {
+		die(
+			`circuitToPosition is ${dClose.toFixed(1)} meters from circuitFromPosition: the section doesn't complete a lap`,
+		);
+	}
+	// the lap closes on the first point
+	if (dClose > 1) {
+		lap.push(pLast);
+	}
+	deleteDerivedFields(lap);
+	note(`circuit extracted: points ${i1} to ${i2 + 1} of ${points.length}`);
+	return lap;
+}
+
+/**
+ * Rotate a loop so its start/finish is a distance further along the course.
+ * The new start is interpolated unless there's a point there already; points
+ * keep their segment numbers, so named segments stay on the same road.
+ * @param {Array} points - Array of points of a loop
+ * @param {number} shift - Distance to move the start/finish, in meters
+ * @returns {Array} New array of points
+ */
+function shiftCircuit(points, shift) {
+	if (points.length < 3 || !shift) return points;
+
+	// the start is repeated at the finish of a closed loop
+	const isClosed = pointsAreClose(points[0], ix(points, -1));
+	const pLoop = isClosed ? points.slice(0, -1) : [...points];
+	addDistanceField(pLoop);
+	const courseDistance = calcCourseDistance(pLoop, 1);
+	const s = ((shift % courseDistance) + courseDistance) % courseDistance;
+
+	// the start/finish moves between points i and i + 1 (wrapping to 0)
+	let i = maxIndex(pLoop);
+	while (i > 0 && pLoop[i].distance > s) {
+		i--;
+	}
+	const j = (i + 1) % pLoop.length;
+	const s1 = pLoop[i].distance;
+	const s2 = j === 0 ? courseDistance : pLoop[j].distance;
+
+	let pNew;
+	if (s - s1 < 0.1 || s2 - s < 0.1) {
+		// start at an existing point
+		const k = s - s1 < 0.1 ? i : j;
+		pNew = [...pLoop.slice(k), ...pLoop.slice(0, k)];
+		if (isClosed) {
+			pNew.push({ ...pNew[0] });
+		}
+	} else {
+		const pStart = interpolatePoint(pLoop[i], pLoop[j], (s - s1) / (s2 - s1));
+		// the new start begins the segment after it, and the finish ends the
+		// segment before it
+		pNew = [
+			{ ...pStart, segment: pLoop[j].segment },
+			...pLoop.slice(j),
+			...pLoop.slice(0, j),
+		];
+		if (isClosed) {
+			pNew.push({ ...pStart, segment: pLoop[i].segment });
+		}
+	}
+	deleteDerivedFields(pNew);
+	return pNew;
+}
+
+// TODO: Translate calcSeparation() from Perl
+
+// TODO: Translate simplifyProfile() from Perl
+
+/**
+ * add distance field to points
+ * @param {Array} points - Array of points
+ */
+function addDistanceField(points) {
+	if (!points.length) return;
+	points[0].distance = 0;
+	for (let i = 1; i < points.length; i++) {
+		points[i].distance =
+			points[i - 1].distance + latlngDistance(points[i - 1], points[i]);
+	}
+}
+
+/**
+ * Add distance field only if not already present
+ * @param {Array} points - Array of points
+ */
+function addDistanceFieldIfNeeded(points) {
+	if (points.length) {
+		if (
+			points[0].distance === undefined ||
+			points[points.length - 1].distance === undefined
+		) {
+			addDistanceField(points);
+		}
+	}
+}
+
+/**
+ * Add gradient field to points based on elevation changes
+ * @param {Array} points - Array of points
+ * @param {number} isLoop - Whether the track is a loop (0 or 1)
+ */
+function addGradientField(points, isLoop = 0) {
+	if (!points.length) return;
+	addDistanceField(points);
+	const courseDistance = calcCourseDistance(points, isLoop);
+	let i = 0;
+	const iMax = maxIndex(points);
+	while (i <= iMax) {
+		const p1 = points[i];
+		let j = (i + 1) % points.length;
+		while (
 			j !== i &&
 			Math.abs(distanceDifference(p1, points[j], courseDistance, isLoop)) < 0.1
 		) {
@@ -4076,6 +4897,68 @@ function addGradientField(points, isLoop = 0) {
 	}
 }
 
+/**
+ * Add a gradientSign field: 1 on climbs, -1 on descents and 0 where flat. The
+ * gradient is averaged over 50 m; a climb or descent starts where it is
+ * steeper than the threshold, and ends where it is less steep than the
+ * threshold less the hysteresis.
+ * @param {Array} points - Array of points
+ * @param {number} threshold - Gradient to start a climb or descent, in percent
+ * @param {number} hysteresis - Drop in gradient to end it, in percent
+ */
+function addGradientSignField(points, threshold = 2, hysteresis = 1) {
+	if (!points.length) return;
+	addDistanceField(points);
+	const sMax = points[maxIndex(points)].distance;
+	const lambda = Math.min(50, sMax);
+	const gStart = threshold / 100;
+	const gEnd = Math.max(threshold - hysteresis, 0) / 100;
+
+	let sign = 0;
+	for (const p of points) {
+		const s2 = Math.min(Math.max(p.distance + lambda / 2, lambda), sMax);
+		const s1 = s2 - lambda;
+		const g =
+			lambda > 0
+				? (pointAtPosition(points, s2).ele - pointAtPosition(points, s1).ele) /
+					lambda
+				: 0;
+		if (sign * g < gEnd) {
+			sign = 0;
+		}
+		if (sign === 0 && Math.abs(g) > gStart) {
+			sign = Math.sign(g);
+		}
+		p.gradientSign = sign;
+	}
+}
+
+/**
+ * Summarize the runs of climbing, descending and flat points marked by the
+ * gradientSign field
+ * @param {Array} points - Array of points with distance and gradientSign fields
+ * @returns {Object} {climb, descent, flat}: each {count, distance, elevation},
+ *   the number of runs, their total distance and their net altitude change
+ */
+function summarizeGradientSigns(points) {
+	const summary = {};
+	for (const key of ["climb", "descent", "flat"]) {
+		summary[key] = { count: 0, distance: 0, elevation: 0 };
+	}
+	for (let i = 0; i < points.length; i++) {
+		const sign = points[i].gradientSign;
+		const run = summary[sign > 0 ? "climb" : sign < 0 ? "descent" : "flat"];
+		if (i === 0 || sign !== points[i - 1].gradientSign) {
+			run.count++;
+		}
+		if (i < maxIndex(points)) {
+			run.distance += points[i + 1].distance - points[i].distance;
+			run.elevation += points[i + 1].ele - points[i].ele;
+		}
+	}
+	return summary;
+}
+
 /**
  * Integrate gradient to update altitude
  * @param {Array} points - Array of points
@@ -4708,7 +5591,481 @@ function makeLoop(
 	return pLoop;
 }
 
-// TODO: Translate splitPoints() from Perl
+/**
+ * Fraction of the lane shift applied at a position: 1 within the window, 0
+ * outside it, with transitions centred on the window edges
+ * @param {number} s - Distance along the course in meters
+ * @param {Object} window - Lane shift window {start, end, transition} in meters
+ * @param {number} courseDistance - Course distance in meters
+ * @param {number} isLoop - Whether the track is a loop (0 or 1)
+ * @returns {number} Fraction of the lane shift, 0 to 1
+ */
+function laneShiftWeight(s, window, courseDistance = 0, isLoop = 0) {
+	const lambda = Math.max(window.transition, 0.001);
+	// on a loop, a window which ends before it starts wraps through the finish
+	const end =
+		isLoop && window.end < window.start
+			? window.end + courseDistance
+			: window.end;
+	const w = (x) =>
+		Math.min(
+			transition((2 * (window.start - x)) / lambda),
+			transition((2 * (x - end)) / lambda),
+		);
+	return isLoop
+		? Math.max(w(s - courseDistance), w(s), w(s + courseDistance))
+		: w(s);
+}
+
+/**
+ * Shift points laterally by a uniform lane shift, or only over a window of
+ * the course
+ * Positive shifts are to the right in the direction of travel
+ * @param {Array} points - Array of points
+ * @param {number} laneShift - Shift distance in meters
+ * @param {number} isLoop - Whether the track is a loop (0 or 1)
+ * @param {Object} window - Optional lane shift window {start, end, transition}
+ * @returns {Array} New array of shifted points
+ */
+function laneShiftPoints(points, laneShift, isLoop = 0, window = undefined) {
+	if (!laneShift || points.length < 2) return points;
+	if (window !== undefined) {
+		addDistanceField(points);
+		const courseDistance = calcCourseDistance(points, isLoop);
+		for (const p of points) {
+			p.shift =
+				laneShift * laneShiftWeight(p.distance, window, courseDistance, isLoop);
+		}
+	} else {
+		for (const p of points) {
+			p.shift = laneShift;
+		}
+	}
+	const pNew = applyLaneShift(points, isLoop);
+	deleteField(points, "shift");
+	deleteField(pNew, "shift");
+	deleteDerivedFields(pNew);
+	return pNew;
+}
+
+/**
+ * Create an out-and-back course: the course, a turnaround loop, then the course
+ * in reverse. Each direction is lane-shifted to its right so the two directions
+ * don't overlap.
+ * @param {Array} points - Array of points of the outbound course
+ * @param {number} laneShift - Lane shift of each direction in meters
+ * @param {number} rTurnaround - Radius of the turnaround loop (0 for none)
+ * @param {number} loopSign - Default sign for loop direction
+ * @param {Object} segmentNames - Object mapping segment numbers to names
+ * @param {Object} window - Optional lane shift window {start, end, transition},
+ *   as distances along the outbound course
+ * @returns {Array} New array of out-and-back points
+ */
+function makeOutAndBack(
+	points,
+	laneShift = 0,
+	rTurnaround = 0,
+	loopSign = 1,
+	segmentNames = {},
+	window = undefined,
+) {
+	if (points.length < 2) return points;
+
+	const pOut = points.map((p) => ({ ...p }));
+	deleteDerivedFields(pOut);
+	const pBack = pOut.map((p) => ({ ...p }));
+	reversePoints(pBack);
+
+	// the return leg is shifted over the same part of the course
+	let backWindow;
+	if (window !== undefined) {
+		addDistanceField(pOut);
+		const sOut = ix(pOut, -1).distance;
+		deleteField(pOut, "distance");
+		backWindow = {
+			...window,
+			start: sOut - window.end,
+			end: sOut - window.start,
+		};
+	}
+	const out = laneShiftPoints(pOut, laneShift, 0, window);
+	const back = laneShiftPoints(pBack, laneShift, 0, backWindow);
+
+	const loop = [];
+	if (rTurnaround > 0) {
+		const dir = averageAngles(
+			latlngDirection(ix(out, -2), ix(out, -1)),
+			latlngDirection(back[1], back[0]),
+		);
+		loop.push(
+			...makeLoop(
+				[ix(out, -1), back[0]],
+				dir,
+				rTurnaround,
+				loopSign,
+				segmentNames,
+			),
+		);
+	}
+
+	note(
+		`out-and-back: ${out.length} outbound points, ${loop.length} turnaround points, ${back.length} return points`,
+	);
+	return [...out, ...loop, ...back];
+}
+
+/**
+ * Add a turnaround loop at the finish of a point-to-point course, so the
+ * course ends heading back the way it came
+ * @param {Array} points - Array of points
+ * @param {number} rTurnaround - Radius of the turnaround loop in meters
+ * @param {number} loopSign - Default sign for loop direction
+ * @param {Object} segmentNames - Object mapping segment numbers to names
+ * @returns {Array} New array of points
+ */
+function addTurnaround(points, rTurnaround, loopSign = 1, segmentNames = {}) {
+	if (points.length < 2 || !(rTurnaround > 0)) return points;
+
+	// direction into the finish: skip points too close to the finish
+	const pFinish = ix(points, -1);
+	let i = points.length - 2;
+	while (i > 0 && pointsAreClose(points[i], pFinish)) {
+		i--;
+	}
+	const dir = latlngDirection(points[i], pFinish);
+	note(
+		`adding turnaround of radius ${rTurnaround} m at finish, direction = ${(dir / DEG2RAD).toFixed(1)} deg`,
+	);
+	const loop = makeLoop(
+		[pFinish, pFinish],
+		dir,
+		rTurnaround,
+		loopSign,
+		segmentNames,
+	);
+	return [...points, ...loop, { ...pFinish }];
+}
+
+/**
+ * Close a point-to-point course into a lap by joining the finish back to the
+ * start. If the course arrives at the finish heading opposite to the start
+ * direction, the two are joined with a U-turn loop of radius rLap; if start
+ * and finish coincide they are first separated into lanes.
+ * @param {Array} points - Array of points
+ * @param {number} rLap - Radius of the lap loop in meters
+ * @param {number} laneShift - Lane shift for coincident start and finish
+ * @param {number} loopSign - Default sign for loop direction
+ * @param {Object} segmentNames - Object mapping segment numbers to names
+ * @returns {Array|undefined} New array of points, or undefined if the finish is too far from the start
+ */
+function addLapLoop(
+	points,
+	rLap,
+	laneShift = 0,
+	loopSign = 1,
+	segmentNames = {},
+) {
+	if (points.length < 3) return undefined;
+
+	let pStart = points[0];
+	let pFinish = ix(points, -1);
+	const dSF = latlngDistance(pStart, pFinish);
+	if (dSF > 150) {
+		warn(
+			`WARNING: finish is ${dSF.toFixed(1)} meters from start: not closing lap`,
+		);
+		return undefined;
+	}
+
+	const dIn = latlngDirection(ix(points, -2), pFinish);
+	const dOut = latlngDirection(pStart, points[1]);
+	const pNew = [...points];
+
+	// course continues from finish to start without reversing: just close it
+	if (!UTurnCheck(ix(points, -2), pFinish, pStart, points[1], 0)) {
+		note("closing lap without loop: no reversal at start/finish");
+		return pNew;
+	}
+
+	// coincident start and finish: move each into its lane
+	if (pointsAreClose(pStart, pFinish, 0.1, Infinity) && laneShift) {
+		pStart = shiftVertex(pStart, [dOut, dOut], laneShift);
+		pFinish = shiftVertex(pFinish, [dIn, dIn], laneShift);
+		pNew[0] = pStart;
+		pNew[maxIndex(pNew)] = pFinish;
+	}
+
+	const dir = averageAngles(dIn, reduceAngle(dOut + PI));
+	note(`adding lap loop of radius ${rLap} m at start/finish`);
+	const loop = makeLoop([pFinish, pStart], dir, rLap, loopSign, segmentNames);
+	pNew.push(...loop);
+	deleteDerivedFields(pNew);
+	return pNew;
+}
+
+/**
+ * Extend a course back past its start: a lead-in following the first part of the
+ * course in reverse, cropped to the extension distance, joined to the start with
+ * a turnaround loop. The new start is then in the middle of the road rather than
+ * at the start line.
+ * @param {Array} points - Array of points
+ * @param {number} extendBack - Extension distance in meters
+ * @param {number} rTurnaround - Radius of the turnaround loop in meters
+ * @param {number} laneShift - Lane shift of the lead-in in meters
+ * @param {number} loopSign - Default sign for loop direction
+ * @param {Object} segmentNames - Object mapping segment numbers to names
+ * @param {boolean} isOutAndBack - Whether the course already includes its return leg
+ * @returns {Array} New array of points
+ */
+function addExtendBack(
+	points,
+	extendBack,
+	rTurnaround,
+	laneShift = 0,
+	loopSign = 1,
+	segmentNames = {},
+	isOutAndBack = false,
+) {
+	if (points.length < 2) return points;
+
+	addDistanceField(points);
+	const courseDistance = calcCourseDistance(points, 0);
+	const pCopy = points.map((p) => ({ ...p }));
+
+	// an out-and-back course already ends with the start of the course reversed
+	// and lane-shifted: the lead-in is the end of the return leg
+	let pLead;
+	if (isOutAndBack) {
+		const d = Math.min(extendBack, courseDistance / 2);
+		pLead = cropPoints(pCopy, 0, [], courseDistance - d, undefined);
+	} else {
+		const d = Math.min(extendBack, courseDistance);
+		pLead = cropPoints(pCopy, 0, [], undefined, d);
+		reversePoints(pLead);
+		pLead = laneShiftPoints(pLead, laneShift);
+	}
+	if (pLead.length < 2) return points;
+
+	const dir = averageAngles(
+		latlngDirection(ix(pLead, -2), ix(pLead, -1)),
+		latlngDirection(points[1], points[0]),
+	);
+	const loop = makeLoop(
+		[ix(pLead, -1), points[0]],
+		dir,
+		rTurnaround,
+		loopSign,
+		segmentNames,
+	);
+	note(
+		`extending course back by ${extendBack} m with a turnaround of radius ${rTurnaround} m`,
+	);
+
+	const pNew = [...pLead, ...loop, ...points];
+	deleteDerivedFields(pNew);
+	return pNew;
+}
+
+/**
+ * Copy the points between two distances, interpolating a point at each end
+ * @param {Array} points - Array of points with distance field
+ * @param {number} s1 - Start distance
+ * @param {number} s2 - End distance
+ * @returns {Array} Copied points
+ */
+function rangePoints(points, s1, s2) {
+	const piece = [pointAtPosition(points, s1)];
+	for (const p of points) {
+		if (p.distance > s1 + 0.01 && p.distance < s2 - 0.01) {
+			piece.push({ ...p });
+		}
+	}
+	piece.push(pointAtPosition(points, s2));
+	return piece;
+}
+
+/**
+ * Split points into pieces at the given distances, interpolating a point at
+ * each split. Adjacent pieces can overlap by a given distance.
+ * @param {Array} points - Array of points
+ * @param {Array} splitAt - Distances at which to split the course
+ * @param {number} overlap - Distance each piece extends past the split (default 0)
+ * @returns {Array} Array of point arrays, one per piece
+ */
+function splitPoints(points, splitAt, overlap = 0) {
+	const hadDistance = points[0]?.distance !== undefined;
+	const pCopy = points.map((p) => ({ ...p }));
+	addDistanceField(pCopy);
+	const courseDistance = ix(pCopy, -1).distance;
+
+	const splits = [
+		...new Set(
+			splitAt
+				.map(Number)
+				.filter((s) => Number.isFinite(s) && s > 0 && s < courseDistance),
+		),
+	].sort((a, b) => a - b);
+	const boundaries = [0, ...splits, courseDistance];
+
+	const pieces = [];
+	for (let k = 0; k < boundaries.length - 1; k++) {
+		const s1 = Math.max(0, boundaries[k] - overlap);
+		const s2 = Math.min(courseDistance, boundaries[k + 1] + overlap);
+		const piece = rangePoints(pCopy, s1, s2);
+		if (!hadDistance) {
+			deleteField(piece, "distance");
+		}
+		note(
+			`split ${k + 1}: ${(s1 / 1000).toFixed(3)} km to ${(s2 / 1000).toFixed(3)} km, ${piece.length} points`,
+		);
+		pieces.push(piece);
+	}
+	return pieces;
+}
+
+/**
+ * Find the distances at which the course passes the point at a distance
+ * @param {Array} points - Array of points with distance field
+ * @param {number} s - Distance along the course
+ * @returns {Array} Distances of each pass, in order
+ */
+function passDistances(points, s) {
+	return findPasses(points, pointAtPosition(points, s), 20).map(
+		([i, f]) =>
+			points[i].distance + f * (points[i + 1].distance - points[i].distance),
+	);
+}
+
+/**
+ * Repeat a circuit within the course, so it is ridden nCircuits times. Each
+ * circuit is a copy of the recorded one with altitude and position drift
+ * removed, so it closes on itself, and the circuits are snapped together. The
+ * drift is instead removed from the rest of the course, fading out over 100 m
+ * after the circuits.
+ * @param {Array} points - Array of points
+ * @param {number} s1 - Distance at which the circuit starts
+ * @param {number} s2 - Distance at which the circuit ends
+ * @param {number} nCircuits - Number of times the circuit is ridden
+ * @param {Object} options - Processing options, for the snapping parameters
+ * @returns {Array} Points with the circuit repeated
+ */
+function repeatCircuit(points, s1, s2, nCircuits, options = {}) {
+	addDistanceField(points);
+	const courseDistance = ix(points, -1).distance;
+	const circuit = rangePoints(points, s1, s2);
+	const pStart = circuit[0];
+	const pEnd = ix(circuit, -1);
+
+	// the repeated circuit: drift spread over the circuit to close it
+	const [dx, dy] = latlng2dxdy(pEnd, pStart);
+	const dz = pStart.ele - pEnd.ele;
+	const closedCircuit = circuit.slice(0, -1).map((p) => {
+		const f = (p.distance - s1) / (s2 - s1);
+		const pNew = addVectorToPoint(p, [f * dx, f * dy]);
+		pNew.ele = p.ele + f * dz;
+		return pNew;
+	});
+
+	// the circuits: snapped against each other, but not the rest of the course
+	let laps = [];
+	for (let n = 0; n < nCircuits; n++) {
+		laps.push(...closedCircuit.map((p) => ({ ...p })));
+	}
+	laps.push({ ...closedCircuit[0] });
+	laps = snapPoints(
+		laps,
+		1,
+		options.snapDistance || 2,
+		options.snapAltitude || 1,
+		0,
+		options.spacing || 0,
+	);
+
+	// the rest of the course is moved onto the end of the closed circuit
+	const rest =
+		s2 < courseDistance - 0.01
+			? rangePoints(points, s2, courseDistance).slice(1)
+			: [];
+	if (rest.length) {
+		const lambda = Math.min(100, courseDistance - s2);
+		for (const [k, p] of rest.entries()) {
+			const w = transition((2 * (p.distance - s2)) / lambda - 1);
+			if (w > 0) {
+				const pShifted = addVectorToPoint(p, [w * dx, w * dy]);
+				pShifted.ele = p.ele + w * dz;
+				rest[k] = pShifted;
+			}
+		}
+	}
+
+	const pNew = s1 > 0.01 ? rangePoints(points, 0, s1).slice(0, -1) : [];
+	pNew.push(...laps, ...rest);
+	note(
+		`circuit ${(s1 / 1000).toFixed(3)} km to ${(s2 / 1000).toFixed(3)} km ridden ${nCircuits} times`,
+	);
+	deleteDerivedFields(pNew);
+	return pNew;
+}
+
+/**
+ * Repeat circuits at the start and finish of the course: a start circuit ends
+ * at startCircuitDistance (by default, the first return to the start), and a
+ * finish circuit starts at finishCircuitDistance (by default, the last pass of
+ * the finish before the finish)
+ * @param {Array} points - Array of points
+ * @param {Object} options - Processing options
+ * @returns {Array} Points with circuits repeated
+ */
+function addCircuits(points, options) {
+	addDistanceField(points);
+	const courseDistance = ix(points, -1).distance;
+	// circuits shorter than this are passes of the same point
+	const minCircuit = 100;
+	const circuits = [];
+
+	if ((options.finishCircuits || 0) > 1) {
+		let s1 = options.finishCircuitDistance;
+		let s2;
+		if (s1 === undefined || s1 < 0) {
+			s2 = courseDistance;
+			s1 = passDistances(points, s2)
+				.filter((s) => s < s2 - minCircuit)
+				.pop();
+		} else {
+			s2 = passDistances(points, s1).find((s) => s > s1 + minCircuit);
+		}
+		if (s1 === undefined || s2 === undefined) {
+			die("finishCircuits: no circuit found at the finish");
+		}
+		circuits.push([s1, s2, options.finishCircuits]);
+	}
+
+	if ((options.startCircuits || 0) > 1) {
+		let s2 = options.startCircuitDistance;
+		let s1;
+		if (s2 === undefined || s2 < 0) {
+			s1 = 0;
+			s2 = passDistances(points, s1).find((s) => s > s1 + minCircuit);
+		} else {
+			s1 = passDistances(points, s2)
+				.filter((s) => s < s2 - minCircuit)
+				.pop();
+		}
+		if (s1 === undefined || s2 === undefined) {
+			die("startCircuits: no circuit found at the start");
+		}
+		if (circuits.length && s2 > circuits[0][0] + 0.01) {
+			die("startCircuits and finishCircuits: circuits overlap");
+		}
+		circuits.push([s1, s2, options.startCircuits]);
+	}
+
+	// the finish circuit first, so the start circuit distances are unchanged
+	for (const [s1, s2, nCircuits] of circuits) {
+		points = repeatCircuit(points, s1, s2, nCircuits, options);
+	}
+	return points;
+}
 
 /**
  * Calculate smoothing sigma based on gradient variance
@@ -4795,6 +6152,94 @@ function calcSmoothingSigma(points, sigmaFactor = 1, isLoop = 0) {
 	}
 }
 
+/**
+ * Calculate position smoothing sigma from the curvature: curvature which
+ * fluctuates about its local average is noise, and gets heavy smoothing, while
+ * the angle turned by a corner limits smoothing, near it and of the points
+ * either side, so the corner keeps its shape
+ * @param {Array} points - Array of points
+ * @param {number} sigmaFactor - Factor to scale the sigma values (default: 1)
+ * @param {number} isLoop - Whether the track is a loop (0 or 1)
+ */
+function calcPositionSmoothingSigma(points, sigmaFactor = 1, isLoop = 0) {
+	if (!points.length) return;
+
+	// specify the window over which curvature is averaged
+	const sigmaAvg = 25;
+	const twoSigmaAvg2 = 2 * sigmaAvg ** 2;
+	const avgRange = 3 * sigmaAvg;
+
+	// curvature fluctuation below this (1/m) is not treated as noise
+	const c0 = 0.002;
+
+	// smoothing of pure noise for sigmaFactor = 1, in meters
+	const sigmaNoise = 20;
+
+	// how far smoothing may cut a corner, in meters
+	const dCorner = 1;
+
+	note("calculating curvature field...");
+	addCurvatureField(points, isLoop);
+	addDistanceField(points);
+	const courseDistance = calcCourseDistance(points, isLoop);
+	const n = points.length;
+
+	// the angle turned at each point
+	const turns = points.map((p, i) => {
+		const pPrev = points[isLoop ? (i - 1 + n) % n : Math.max(i - 1, 0)];
+		const pNext = points[isLoop ? (i + 1) % n : Math.min(i + 1, n - 1)];
+		return (
+			(p.curvature * distanceDifference(pPrev, pNext, courseDistance, isLoop)) /
+			2
+		);
+	});
+
+	for (let i = 0; i < n; i++) {
+		// weighted mean and variance of curvature within the averaging range
+		let sum0 = 0;
+		let sum1 = 0;
+		let sum2 = 0;
+		let sumTurn = 0;
+		for (const dir of [1, -1]) {
+			for (let k = dir === 1 ? 0 : 1; k < n; k++) {
+				const j = i + dir * k;
+				if (!isLoop && (j < 0 || j >= n)) break;
+				const p = points[((j % n) + n) % n];
+				const ds = distanceDifference(points[i], p, courseDistance, isLoop);
+				if (Math.abs(ds) > avgRange) break;
+				const w = Math.exp(-(ds ** 2) / twoSigmaAvg2);
+				sum0 += w;
+				sum1 += w * p.curvature;
+				sum2 += w * p.curvature ** 2;
+				sumTurn += w * turns[((j % n) + n) % n];
+			}
+		}
+		const cAvg = sum1 / sum0;
+		const cNoise = Math.sqrt(Math.max(sum2 / sum0 - cAvg ** 2, 0));
+
+		// noise fraction of the curvature, with corners limiting the smoothing:
+		// smoothing cuts a turn through theta by sigma sqrt(2/pi) sin(theta/2)
+		const sigma =
+			(sigmaFactor * sigmaNoise * cNoise) / (cNoise + Math.abs(cAvg) + c0);
+		const theta = Math.min(Math.abs(sumTurn), PI);
+		const sigmaCorner =
+			theta > 0 ? (dCorner * SQRT2PI) / (2 * Math.sin(theta / 2)) : Infinity;
+		points[i].sigma = Math.min(sigma, sigmaCorner);
+	}
+
+	// keep the smoothing of points near a corner from reaching the corner
+	for (const dir of [1, -1]) {
+		for (let k = 1; k < (isLoop ? 2 * n : n); k++) {
+			const j = dir > 0 ? k % n : (((n - 1 - k) % n) + n) % n;
+			const p = points[j];
+			const pPrev = points[(j - dir + n) % n];
+			const ds = Math.abs(distanceDifference(pPrev, p, courseDistance, isLoop));
+			p.sigma = Math.min(p.sigma, pPrev.sigma + ds / 3);
+		}
+	}
+	deleteField2(points, "curvature");
+}
+
 // TODO: Translate simplifyMonotonicProfile() from Perl
 
 /**
@@ -4871,10 +6316,271 @@ function calcQualityScore(points, isLoop) {
 
 // TODO: Translate flattenPointExtensions() from Perl
 
+/**
+ * Flatten altitude over distance ranges, blending into the original profile
+ * with the transition function just outside the ends of each range
+ * @param {Array} points - Array of points
+ * @param {Array} flatten - Pairs of distances: start and end of each range
+ * @param {boolean} interpolate - Interpolate linearly between the altitudes at
+ *   the range ends rather than holding their average
+ * @returns {Array} Points with adjusted altitudes
+ */
+function flattenPoints(points, flatten, interpolate = false) {
+	addDistanceField(points);
+	const courseDistance = ix(points, -1).distance;
+
+	for (let i = 0; i < flatten.length; i += 2) {
+		let s1 = Number(flatten[i]);
+		let s2 = Number(flatten[i + 1]);
+		if (!Number.isFinite(s1) || !Number.isFinite(s2)) {
+			die(`invalid flatten range: ${flatten[i]} to ${flatten[i + 1]}`);
+		}
+		if (s2 < s1) [s1, s2] = [s2, s1];
+		s1 = Math.max(0, s1);
+		s2 = Math.min(courseDistance, s2);
+		if (s2 <= s1) {
+			warn(
+				`WARNING: flatten range ${flatten[i]} to ${flatten[i + 1]} is not on the course: ignoring`,
+			);
+			continue;
+		}
+
+		// anchor the altitude outside the transitions, where the profile is
+		// assumed to be on the road
+		const lambda = 20;
+		const sA = Math.max(0, s1 - lambda);
+		const sB = Math.min(courseDistance, s2 + lambda);
+		const zA = pointAtPosition(points, sA).ele;
+		const zB = pointAtPosition(points, sB).ele;
+		note(
+			`flattening ${s1} to ${s2}: altitude ${interpolate ? `${zA.toFixed(1)} to ${zB.toFixed(1)}` : ((zA + zB) / 2).toFixed(1)}`,
+		);
+
+		for (const p of points) {
+			const s = p.distance;
+			if (s < s1 - lambda || s > s2 + lambda) continue;
+			const f = Math.min(1, Math.max(0, (s - sA) / (sB - sA)));
+			const z = interpolate ? zA + f * (zB - zA) : (zA + zB) / 2;
+			const w =
+				transition((2 * (s1 - s)) / lambda - 1) *
+				transition((2 * (s - s2)) / lambda - 1);
+			p.ele += w * (z - p.ele);
+		}
+	}
+	deleteField2(points, "gradient");
+	return points;
+}
+
 // TODO: Translate getExtensions() from Perl
 
 // TODO: Translate addExtensions() from Perl
 
+// ============================================================================
+// TRACK SELECTION AND JOINING
+// ============================================================================
+
+/**
+ * Find the tracks in a GeoJSON FeatureCollection
+ * Tracks with multiple segments are MultiLineString features
+ * @param {Object} geoJson - FeatureCollection converted from GPX
+ * @returns {Array} Track features (LineString or MultiLineString)
+ */
+export function getTracks(geoJson) {
+	return (geoJson?.features || []).filter(
+		(feature) =>
+			feature.geometry &&
+			(feature.geometry.type === "LineString" ||
+				feature.geometry.type === "MultiLineString"),
+	);
+}
+
+/**
+ * Coordinates of a track, with any segments concatenated in order
+ * @param {Object} track - LineString or MultiLineString feature
+ * @returns {Array} Array of [lon, lat, ele] coordinates
+ */
+function trackCoordinates(track) {
+	return track.geometry.type === "MultiLineString"
+		? track.geometry.coordinates.flat()
+		: track.geometry.coordinates;
+}
+
+/**
+ * Distance between two [lon, lat] coordinates
+ * @param {Array} c1 - First coordinate
+ * @param {Array} c2 - Second coordinate
+ * @returns {number} Distance in meters
+ */
+function coordinateDistance(c1, c2) {
+	return latlngDistance({ lat: c1[1], lon: c1[0] }, { lat: c2[1], lon: c2[0] });
+}
+
+/**
+ * Summarize tracks for listing: index, name, number of points and length
+ * @param {Array} tracks - Track features from getTracks()
+ * @returns {Array} Array of {index, name, points, distance} objects
+ */
+export function listTracks(tracks) {
+	return tracks.map((track, index) => {
+		const coordinates = trackCoordinates(track);
+		let distance = 0;
+		for (let i = 1; i < coordinates.length; i++) {
+			distance += coordinateDistance(coordinates[i - 1], coordinates[i]);
+		}
+		return {
+			index,
+			name: track.properties?.name || `track ${index}`,
+			points: coordinates.length,
+			distance,
+		};
+	});
+}
+
+/**
+ * Describe tracks, one per line, for messages
+ * @param {Array} tracks - Track features from getTracks()
+ * @returns {string} Track descriptions
+ */
+function describeTracks(tracks) {
+	return listTracks(tracks)
+		.map(
+			(t) =>
+				`  ${t.index}: ${t.name} (${t.points} points, ${(t.distance / 1000).toFixed(3)} km)`,
+		)
+		.join("\n");
+}
+
+/**
+ * Select a track as a LineString feature. The segments of a multi-segment
+ * track are concatenated in order.
+ * @param {Array} tracks - Track features from getTracks()
+ * @param {number} selectedTrack - Index of the track (default 0)
+ * @returns {Object} LineString feature of the selected track
+ */
+export function selectTrack(tracks, selectedTrack = 0) {
+	if (!tracks.length) {
+		die("No track LineString found in GPX file");
+	}
+	if (
+		!Number.isInteger(selectedTrack) ||
+		selectedTrack < 0 ||
+		selectedTrack >= tracks.length
+	) {
+		die(
+			`track ${selectedTrack} not found: available tracks are:\n${describeTracks(tracks)}`,
+		);
+	}
+	if (tracks.length > 1) {
+		note(`${tracks.length} tracks found, selecting track ${selectedTrack}`);
+	}
+
+	const track = tracks[selectedTrack];
+	if (track.geometry.type === "LineString") {
+		return track;
+	}
+
+	// per-point properties are per segment: concatenate them like the coordinates
+	const properties = { ...track.properties };
+	if (properties.coordinateProperties) {
+		const coordinateProperties = {};
+		for (const [key, value] of Object.entries(
+			properties.coordinateProperties,
+		)) {
+			coordinateProperties[key] = Array.isArray(value) ? value.flat() : value;
+		}
+		properties.coordinateProperties = coordinateProperties;
+	}
+	// keep the track segment of each point, numbered from 1
+	properties.coordinateProperties = {
+		...properties.coordinateProperties,
+		segments: track.geometry.coordinates.flatMap((line, k) =>
+			line.map(() => k + 1),
+		),
+	};
+	return {
+		type: "Feature",
+		geometry: { type: "LineString", coordinates: trackCoordinates(track) },
+		properties,
+	};
+}
+
+/**
+ * Join tracks into a single LineString feature.
+ * Tracks are joined in the order given. Each track is reversed if its finish,
+ * rather than its start, is closer to the end of the course so far. Gaps between
+ * tracks are bridged directly: point interpolation fills them in later.
+ * @param {Array} tracks - Track features from getTracks()
+ * @param {Array} selection - Track indices in join order, or ["all"] for every track
+ * @returns {Object} LineString feature of the joined course
+ */
+export function joinTracks(tracks, selection = []) {
+	const indices =
+		selection.length === 0 || selection.includes("all")
+			? tracks.map((_, i) => i)
+			: selection.map(Number);
+
+	const pieces = [];
+	for (const i of indices) {
+		if (!Number.isInteger(i) || i < 0 || i >= tracks.length) {
+			die(
+				`join: track ${i} not found: track indices range from 0 to ${tracks.length - 1}`,
+			);
+		}
+		pieces.push([...trackCoordinates(tracks[i])]);
+	}
+	if (pieces.length === 0) {
+		die("join: no tracks to join");
+	}
+
+	// orient the first track toward the second
+	if (pieces.length > 1) {
+		const [first, second] = pieces;
+		const dFinish = Math.min(
+			coordinateDistance(ix(first, -1), second[0]),
+			coordinateDistance(ix(first, -1), ix(second, -1)),
+		);
+		const dStart = Math.min(
+			coordinateDistance(first[0], second[0]),
+			coordinateDistance(first[0], ix(second, -1)),
+		);
+		if (dStart < dFinish) {
+			note(`join: reversing track ${indices[0]}`);
+			first.reverse();
+		}
+	}
+
+	const coordinates = [...pieces[0]];
+	for (let n = 1; n < pieces.length; n++) {
+		const piece = pieces[n];
+		const c = ix(coordinates, -1);
+		let d = coordinateDistance(c, piece[0]);
+		const dReversed = coordinateDistance(c, ix(piece, -1));
+		if (dReversed < d) {
+			note(`join: reversing track ${indices[n]}`);
+			piece.reverse();
+			d = dReversed;
+		}
+		if (d > 1) {
+			note(
+				`join: bridging gap of ${d.toFixed(1)} meters to track ${indices[n]}`,
+			);
+		}
+		coordinates.push(...piece);
+	}
+	note(
+		`joined ${pieces.length} tracks (${indices.join(", ")}): ${coordinates.length} points`,
+	);
+
+	// per-point properties no longer line up with the joined coordinates
+	const properties = { ...tracks[indices[0]].properties };
+	delete properties.coordinateProperties;
+	return {
+		type: "Feature",
+		geometry: { type: "LineString", coordinates },
+		properties,
+	};
+}
+
 // ============================================================================
 // MAIN EXPORT FUNCTION
 // ============================================================================
@@ -4895,12 +6601,26 @@ export function processGPX(trackFeature, options = {}) {
 		options.simplifyPoints = options.simplify;
 	}
 
+	// splitDistance is an alternative name for splitAt
+	if (!options.splitAt?.length && options.splitDistance?.length) {
+		options.splitAt = options.splitDistance;
+	}
+
 	// Make sure repeat is in range
 	if ((options.repeat || 0) > 99) {
 		/* istanbul ignore next */
 		die("-repeat limited to range 0 to 99");
 	}
 
+	// The rider's mass, CdA and Crr are only used for speeds from power
+	if (!(options.riderPower > 0 || options.riderFTP > 0)) {
+		for (const option of ["riderMass", "riderCdA", "riderCrr"]) {
+			if (options[option] !== undefined) {
+				warn(`WARNING: -${option} is ignored without -riderPower or -riderFTP`);
+			}
+		}
+	}
+
 	// Mutual exclusion of loopLeft and loopRight is enforced by Yargs validation
 
 	// Short-cut for out-and-back
@@ -4931,10 +6651,67 @@ export function processGPX(trackFeature, options = {}) {
 				? -1
 				: 1;
 
-	// Segment variables (simplified for JavaScript - we don't implement full segment support)
-	const nSegment = 0;
-	const segmentDefined = {};
+	// Segments: every point starts in segment 1, and named segments are numbered
+	// from 2. Segment numbers are carried by the points through processing.
 	const segmentNames = {}; // names of each segment
+	const namedSegments = parseNamedSegments(options.namedSegments);
+
+	// Manual straightening: pairs of distances, and matched start and end lists
+	const straightRanges = [];
+	for (let i = 0; i + 1 < (options.straight || []).length; i += 2) {
+		straightRanges.push([
+			Number(options.straight[i]),
+			Number(options.straight[i + 1]),
+		]);
+	}
+	if ((options.straight || []).length % 2) {
+		die("straight requires pairs of distances: start and end of each range");
+	}
+	const straightStarts = options.straightStart || [];
+	const straightEnds = options.straightEnd || [];
+	if (straightStarts.length !== straightEnds.length) {
+		die("straightStart and straightEnd must be given the same number of times");
+	}
+	for (let i = 0; i < straightStarts.length; i++) {
+		straightRanges.push([Number(straightStarts[i]), Number(straightEnds[i])]);
+	}
+	if (straightRanges.some((r) => !r.every(Number.isFinite))) {
+		die("straight ranges must be numeric distances");
+	}
+
+	// Circular arcs: pairs of distances, and matched start and end lists
+	const circleRanges = [];
+	if ((options.circle || []).length % 2) {
+		die("circle requires pairs of distances: start and end of each range");
+	}
+	for (let i = 0; i + 1 < (options.circle || []).length; i += 2) {
+		circleRanges.push([
+			Number(options.circle[i]),
+			Number(options.circle[i + 1]),
+		]);
+	}
+	const circleStarts = options.circleStart || [];
+	const circleEnds = options.circleEnd || [];
+	if (circleStarts.length !== circleEnds.length) {
+		die("circleStart and circleEnd must be given the same number of times");
+	}
+	for (let i = 0; i < circleStarts.length; i++) {
+		circleRanges.push([Number(circleStarts[i]), Number(circleEnds[i])]);
+	}
+	if (circleRanges.some((r) => !r.every(Number.isFinite))) {
+		die("circle ranges must be numeric distances");
+	}
+
+	// Lane shift window: the lane shift is applied only from shiftStart to
+	// shiftEnd, with transitions of length shiftTransition at each end
+	const laneShiftWindow =
+		options.shiftStart !== undefined || options.shiftEnd !== undefined
+			? {
+					start: options.shiftStart ?? -Infinity,
+					end: options.shiftEnd ?? Infinity,
+					transition: Math.abs(options.shiftTransition ?? 20),
+				}
+			: undefined;
 
 	// Auto-straighten
 	options.autoStraightenDeviation =
@@ -4947,7 +6724,7 @@ export function processGPX(trackFeature, options = {}) {
 		options.maxSlope *= 100;
 	}
 
-	// If extendBack is specified, we need a turnaround loop... calculate crop later
+	// If extendBack is specified, we need a turnaround loop at the start
 	options.extendBack = options.extendBack ?? 0;
 	options.rTurnaround = options.rTurnaround ?? 0;
 	if (options.extendBack > 0 && options.rTurnaround <= 0) {
@@ -4968,13 +6745,36 @@ export function processGPX(trackFeature, options = {}) {
 	options.append = (options.append || 0) + (options.extend || 0);
 
 	// Convert coordinates to points format expected by processing functions
-	let points = trackFeature.geometry.coordinates.map((coord) => ({
+	// Points keep the track segment they were read from, unless stripped
+	const inputSegments =
+		trackFeature.properties?.coordinateProperties?.segments || [];
+	if (options.stripSegments && inputSegments.length) {
+		note(`merging ${ix(inputSegments, -1)} track segments into one`);
+	}
+	let points = trackFeature.geometry.coordinates.map((coord, i) => ({
 		lat: coord[1],
 		lon: coord[0],
 		ele: coord[2], // Preserve undefined if no elevation data
-		segment: 1,
+		segment: options.stripSegments ? 1 : (inputSegments[i] ?? 1),
 	}));
 
+	// Named segments, by distance along the original course
+	if (namedSegments.length) {
+		addDistanceField(points);
+		const courseDistance = ix(points, -1).distance;
+		for (const { s1, s2, name } of namedSegments) {
+			if (s1 < 0 || s2 > courseDistance) {
+				warn(
+					`WARNING: named segment "${name}" (${s1} to ${s2}) is not on the course (length ${courseDistance.toFixed(1)}): ignoring`,
+				);
+				continue;
+			}
+			addSegment(points, s1, s2, name, segmentNames);
+			note(`named segment "${name}": ${s1} to ${s2} meters`);
+		}
+		deleteField(points, "distance");
+	}
+
 	// Calculate quality score of original course
 	note("points in original GPX track = ", points.length);
 	const [score, scoreD, scoreZ] = calcQualityScore(points, options.isLoop || 0);
@@ -5000,7 +6800,7 @@ export function processGPX(trackFeature, options = {}) {
 		dumpPoints(points, "03-js-repeated.txt");
 	}
 
-	// Skip 'join' functionality and convert unnamed segments to 0
+	// Tracks selected with -join are merged by joinTracks() before processGPX() is called
 
 	// Crop ranges if specified
 	// This is done before auto-options since it may change whether the course is a loop
@@ -5013,6 +6813,33 @@ export function processGPX(trackFeature, options = {}) {
 	);
 	dumpPoints(points, "05-js-cropped.txt");
 
+	// Extract a single lap of a circuit between positions, and close it as a loop
+	const circuitFrom = parsePosition(
+		options.circuitFromPosition || [],
+		"circuitFromPosition",
+	);
+	const circuitTo = parsePosition(
+		options.circuitToPosition || [],
+		"circuitToPosition",
+	);
+	if (circuitFrom !== undefined || circuitTo !== undefined) {
+		note("extracting circuit...");
+		points = circuitFromPosition(
+			points,
+			circuitFrom ?? circuitTo,
+			circuitTo ?? circuitFrom,
+		);
+		options.isLoop = 1;
+		dumpPoints(points, "05a-js-circuit.txt");
+	}
+
+	// Repeat circuits at the start or finish, snapping the repeats together
+	if ((options.startCircuits || 0) > 1 || (options.finishCircuits || 0) > 1) {
+		note("adding circuits...");
+		points = addCircuits(points, options);
+		dumpPoints(points, "05b-js-circuits.txt");
+	}
+
 	// AutoLoop: automatically determine if -loop should be invoked
 	options.copyPoint = options.copyPoint || 0;
 	options.autoLoop = options.autoLoop || options.auto;
@@ -5136,6 +6963,11 @@ export function processGPX(trackFeature, options = {}) {
 		options.isLoop = 0;
 	}
 
+	if (options.isLoop && (options.outAndBack || options.outAndBackLap)) {
+		warn("WARNING: ignoring -lap or -loop option for out-and-back course");
+		options.isLoop = 0;
+	}
+
 	// AutoSpacing triggered if max angle specified
 	if (options.smoothAngle !== undefined && options.smoothAngle <= 0) {
 		options.smoothAngle = 10;
@@ -5179,7 +7011,17 @@ export function processGPX(trackFeature, options = {}) {
 		}
 	}
 
-	// shiftSF dependency on lap/loop option is enforced by Yargs validation
+	// Shift the start/finish of a loop: the dependency on lap/loop option is
+	// enforced by Yargs validation
+	if (options.shiftSF) {
+		if (options.isLoop) {
+			note(`shifting start/finish by ${options.shiftSF} m...`);
+			points = shiftCircuit(points, options.shiftSF);
+			dumpPoints(points, "05c-js-shift-sf.txt");
+		} else {
+			warn("WARNING: ignoring -shiftSF for a course which isn't a loop");
+		}
+	}
 
 	// Look for zig-zags
 	points = fixZigZags(points, options.isLoop);
@@ -5257,6 +7099,16 @@ export function processGPX(trackFeature, options = {}) {
 		dumpPoints(points, "07-js-altitude-adjusted.txt");
 	}
 
+	// Flatten altitude over distance ranges, for bridges and tunnels where the
+	// elevation model follows the terrain rather than the road
+	if (options.flatten?.length) {
+		if (options.flatten.length % 2) {
+			die("flatten requires pairs of distances: start and end of each range");
+		}
+		points = flattenPoints(points, options.flatten, options.flattenInterpolate);
+		dumpPoints(points, "07a-js-flattened.txt");
+	}
+
 	// Reverse the points of the original course
 	// Points reference segments so segments order is also reversed
 	if (options.reverse) {
@@ -5289,6 +7141,20 @@ export function processGPX(trackFeature, options = {}) {
 		dumpPoints(points, "09-js-corners-cropped.txt");
 	}
 
+	// Manual straightening
+	if (straightRanges.length) {
+		note("straightening...");
+		points = processStraight(points, options.isLoop, straightRanges);
+		dumpPoints(points, "09a-js-straightened.txt");
+	}
+
+	// Circular arcs
+	if (circleRanges.length) {
+		note("fitting circles...");
+		points = processCircle(points, options.isLoop, circleRanges);
+		dumpPoints(points, "09b-js-circles.txt");
+	}
+
 	// Auto-straighten
 	if ((options.autoStraightenDeviation || 0) > 0) {
 		note("auto-Straightening...");
@@ -5408,7 +7274,7 @@ export function processGPX(trackFeature, options = {}) {
 	// STAGE 22: Various smoothing passes
 	// 1: position
 	// 2: altitude
-	// 3: position auto-smoothing (not yet implemented)
+	// 3: position auto-smoothing
 	// 4: altitude auto-smoothing
 	//
 	// smoothing parameter with auto-smoothing is normalized,
@@ -5435,7 +7301,7 @@ export function processGPX(trackFeature, options = {}) {
 	const endPoints = [{ ...points[0] }, { ...points[maxIndex(points)] }];
 
 	let smoothed = 0;
-	for (const smoothLoop of [0, 1, 2, 4]) {
+	for (const smoothLoop of [0, 1, 2, 3, 4]) {
 		smoothed = 1;
 		let smooth = 0;
 		if (smoothLoop === 0) smooth = options.lSmooth || 0;
@@ -5460,11 +7326,20 @@ export function processGPX(trackFeature, options = {}) {
 		}
 
 		let sigma0 = 0;
+		let sigmaFactor = 1;
 		if (smoothLoop === 3) {
 			// smooth field is generated from data
 			note("calculating auto sigma");
-			calcSmoothingSigma(points, smooth, options.isLoop);
+			calcPositionSmoothingSigma(points, smooth, options.isLoop);
+			note("smoothing... position(auto)");
+			sigma0 = 0;
+		} else if (smoothLoop === 4) {
+			// unscaled field, kept for anchoring, which scales it by zAutoSmooth
+			note("calculating auto sigma");
+			calcSmoothingSigma(points, 1, options.isLoop);
+			note("smoothing... altitude(auto)");
 			sigma0 = 0;
+			sigmaFactor = smooth;
 		} else {
 			// parse and check the selective smoothing parameters
 			let i = 0;
@@ -5638,7 +7513,7 @@ export function processGPX(trackFeature, options = {}) {
 				key === "latlon" ? ["lat", "lon"] : [key],
 				options.isLoop,
 				points[0].sigma !== undefined ? "sigma" : "",
-				1, // sigmaFactor
+				sigmaFactor,
 				sigma0,
 				[], // weighting
 				useCornerEffect ? options.cornerEffect || 1 : 0,
@@ -5648,6 +7523,11 @@ export function processGPX(trackFeature, options = {}) {
 		if (smoothLoop % 3 === 2) {
 			integrateGradientField(points, options.isLoop);
 		}
+
+		// the position auto-smoothing field doesn't apply to later passes
+		if (smoothLoop === 3) {
+			deleteField2(points, "sigma");
+		}
 	}
 
 	if (smoothed) {
@@ -5685,7 +7565,7 @@ export function processGPX(trackFeature, options = {}) {
 
 			for (const key of Object.keys(sigma)) {
 				if (sigma[key] > 0) {
-					const dy0 = points[i0][key] - endPoints[i0][key];
+					const dy0 = points[i0][key] - endPoints[d === 1 ? 0 : 1][key];
 
 					// step thru points
 					let i = i0 % points.length;
@@ -5738,6 +7618,101 @@ export function processGPX(trackFeature, options = {}) {
 		dumpPoints(points, "23-js-post-smoothing-splines.txt");
 	}
 
+	// STAGE 24: out-and-back: add the return leg, joined with a turnaround loop
+	if (options.outAndBack || options.outAndBackLap) {
+		note("creating out-and-back course...");
+		points = makeOutAndBack(
+			points,
+			options.laneShift,
+			options.rTurnaround,
+			loopSign,
+			segmentNames,
+			laneShiftWindow,
+		);
+		dumpPoints(points, "24-js-out-and-back.txt");
+	}
+
+	// STAGE 25: turnaround loop at the finish of a point-to-point course
+	// (out-and-back courses already have their turnaround, and with extendBack
+	// the turnaround is used at the start)
+	if (
+		!options.isLoop &&
+		!(options.outAndBack || options.outAndBackLap) &&
+		!(options.extendBack > 0) &&
+		options.rTurnaround > 0
+	) {
+		note("adding turnaround loop...");
+		points = addTurnaround(points, options.rTurnaround, loopSign, segmentNames);
+		dumpPoints(points, "25-js-turnaround.txt");
+	}
+
+	// STAGE 25a: extend the course back past the start, with a turnaround
+	if (options.extendBack > 0) {
+		if (options.isLoop || options.outAndBackLap) {
+			warn("WARNING: ignoring -extendBack for a loop or lap course");
+		} else {
+			note("extending course back past start...");
+			points = addExtendBack(
+				points,
+				options.extendBack,
+				options.rTurnaround,
+				options.laneShift,
+				loopSign,
+				segmentNames,
+				options.outAndBack,
+			);
+			dumpPoints(points, "25a-js-extend-back.txt");
+		}
+	}
+
+	// STAGE 25b: close point-to-point course into a lap with a loop of radius rLap
+	if (
+		!options.isLoop &&
+		options.rLap > 0 &&
+		(options.outAndBackLap || !options.outAndBack)
+	) {
+		note("closing course into lap...");
+		const pLap = addLapLoop(
+			points,
+			options.rLap,
+			options.laneShift,
+			loopSign,
+			segmentNames,
+		);
+		if (pLap !== undefined) {
+			points = pLap;
+			options.isLoop = 1;
+			dumpPoints(points, "25b-js-lap-loop.txt");
+		}
+	}
+
+	// STAGE 25c: lane shift over a window of the course (out-and-back courses
+	// were shifted when the return leg was added)
+	if (
+		laneShiftWindow !== undefined &&
+		!(options.outAndBack || options.outAndBackLap)
+	) {
+		if (options.laneShift) {
+			note(
+				`applying lane shift of ${options.laneShift} m from ${laneShiftWindow.start} m to ${laneShiftWindow.end} m...`,
+			);
+			points = laneShiftPoints(
+				points,
+				options.laneShift,
+				options.isLoop,
+				laneShiftWindow,
+			);
+			dumpPoints(points, "25c-js-lane-shift.txt");
+		} else {
+			warn("WARNING: ignoring -shiftStart and -shiftEnd without -laneShift");
+		}
+	}
+
+	// Crossings found by the fixCrossings stage, for the crossings report, and
+	// the simplified course on which they were searched for
+	const crossingReport = [];
+	let simplifiedCourse;
+
 	if (options.fixCrossings) {
 		// STAGE 26: Fix crossings
 		note("fixing crossings...");
@@ -5810,6 +7785,9 @@ export function processGPX(trackFeature, options = {}) {
 			}
 		}
 
+		simplifiedCourse = simplified.map((i) => ({ ...points[i] }));
+		dumpPoints(simplifiedCourse, "26a-js-simplified-course.txt");
+
 		// Search for crossings on simplified route
 		const crossings = [];
 
@@ -5851,16 +7829,15 @@ export function processGPX(trackFeature, options = {}) {
 								const zAvg = (z1 + z2) / 2;
 
 								// Adjust the altitude of the crossing points
-								if (
-									Math.abs(
-										latlngCrossProduct(
-											points[u],
-											points[up1],
-											points[v],
-											points[vp1],
-										),
-									) > crossingX
-								) {
+								const crossProduct = Math.abs(
+									latlngCrossProduct(
+										points[u],
+										points[up1],
+										points[v],
+										points[vp1],
+									),
+								);
+								if (crossProduct > crossingX) {
 									const crossingHeight = options.crossingHeight || 2;
 									if (Math.abs(z1 - z2) < crossingHeight / 2) {
 										note(
@@ -5878,6 +7855,17 @@ export function processGPX(trackFeature, options = {}) {
 										);
 									}
 									crossings.push(...cNew);
+									crossingReport.push({
+										distance1: cNew[0].distance,
+										distance2: cNew[1].distance,
+										lat: cNew[0].lat,
+										lon: cNew[0].lon,
+										ele1Original: z1,
+										ele2Original: z2,
+										ele1: cNew[0].ele,
+										ele2: cNew[1].ele,
+										angle: Math.asin(Math.min(crossProduct, 1)) / DEG2RAD,
+									});
 								}
 							}
 						}
@@ -6305,6 +8293,13 @@ export function processGPX(trackFeature, options = {}) {
 		dumpPoints(points, "41-js-simplified.txt");
 	}
 
+	// STAGE 42: Named segments for climbs
+	if (options.autoSegments?.length) {
+		note("finding climbs for auto segments...");
+		points = addAutoSegments(points, options, segmentNames);
+		dumpPoints(points, "42-js-auto-segments.txt");
+	}
+
 	// Add distance field for final calculations
 	addDistanceField(points);
 
@@ -6314,25 +8309,14 @@ export function processGPX(trackFeature, options = {}) {
 		const tStart = new Date(options.startTime).getTime() / 1000; // Convert to Unix timestamp
 		if (tStart > 0) {
 			note(`start time found: ${tStart}`);
-			const ts = [0];
-			const gs = [0];
-
-			for (let i = 0; i < maxIndex(points); i++) {
-				const dd = points[i + 1].distance - points[i].distance;
-				const gradient =
-					dd === 0
-						? gs[gs.length - 1]
-						: (points[i + 1].ele - points[i].ele) / dd;
-				gs.push(gradient);
-				const speed = bikeSpeedModel(gradient);
-				const deltaTime = (points[i + 1].distance - points[i].distance) / speed;
-				ts.push(ts[ts.length - 1] + deltaTime);
-			}
-
-			for (let i = 0; i < points.length; i++) {
-				points[i].time = tStart + ts[i];
-				points[i].duration = ts[i];
+			const tTotal = addDuration(points, riderModel(options), options.isLoop);
+			for (const p of points) {
+				p.time = tStart + p.duration;
 			}
+			note(
+				`estimated moving time = ${formatDuration(tTotal)}, finish at ${new Date((tStart + tTotal) * 1000).toISOString()}`,
+			);
+			noteSegmentTimes(points, segmentNames);
 		}
 	}
 
@@ -6372,6 +8356,23 @@ export function processGPX(trackFeature, options = {}) {
 		deleteField2(points, "gradient");
 	}
 
+	// Add gradient sign field if requested: climbs, descents and flat
+	let gradientSummary;
+	if (options.addGradientSigns) {
+		note("adding gradient signs...");
+		addGradientSignField(
+			points,
+			options.gradientSignThreshold ?? 2,
+			options.gradientSignHysteresis ?? 1,
+		);
+		gradientSummary = summarizeGradientSigns(points);
+		for (const [key, run] of Object.entries(gradientSummary)) {
+			note(
+				`${key}: ${run.count} runs, ${(run.distance / 1000).toFixed(3)} km, ${run.elevation.toFixed(1)} m`,
+			);
+		}
+	}
+
 	// Remove distance field unless explicitly requested
 	if (!options.addDistance) {
 		deleteField2(points, "distance");
@@ -6386,11 +8387,36 @@ export function processGPX(trackFeature, options = {}) {
 	}
 
 	// Convert processed points back to coordinates format for output
-	const processedFeature = {
+	// Per-point properties of the output replace those of the input, which no
+	// longer line up with the points: segment numbers, if there are named
+	// segments or more than one segment, and modelled times
+	const coordinateProperties = (featurePoints) => {
+		const pointProperties = {};
+		if (
+			Object.keys(segmentNames).length ||
+			featurePoints.some(
+				(p) => (p.segment || 1) !== (featurePoints[0].segment || 1),
+			)
+		) {
+			pointProperties.segments = featurePoints.map((p) => p.segment ?? 0);
+		}
+		if (featurePoints.some((p) => p.time !== undefined)) {
+			pointProperties.times = featurePoints.map((p) =>
+				p.time === undefined ? null : new Date(p.time * 1000).toISOString(),
+			);
+		}
+		if (featurePoints.some((p) => p.gradientSign !== undefined)) {
+			pointProperties.gradientSigns = featurePoints.map(
+				(p) => p.gradientSign ?? null,
+			);
+		}
+		return pointProperties;
+	};
+	const pointsToFeature = (featurePoints, properties = {}) => ({
 		type: trackFeature.type,
 		geometry: {
 			type: trackFeature.geometry.type,
-			coordinates: points.map((p) => {
+			coordinates: featurePoints.map((p) => {
 				const coord = [p.lon, p.lat];
 				if (p.ele !== undefined) {
 					coord.push(p.ele);
@@ -6400,11 +8426,63 @@ export function processGPX(trackFeature, options = {}) {
 		},
 		properties: {
 			...trackFeature.properties,
+			...(options.title ? { name: options.title } : {}),
+			coordinateProperties: coordinateProperties(featurePoints),
+			...(Object.keys(segmentNames).length
+				? { segmentNames: { ...segmentNames } }
+				: {}),
+			...properties,
 			processed: true,
 			processedAt: new Date().toISOString(),
 			processOptions: { ...options },
 		},
-	};
+	});
+
+	const processedFeature = pointsToFeature(
+		points,
+		gradientSummary ? { gradientSummary } : {},
+	);
+
+	// Crossings are returned with the course, in its crossings field, and the
+	// simplified course searched for them in its simplifiedCourse field
+	if (options.fixCrossings) {
+		processedFeature.crossings = crossingReport;
+		processedFeature.simplifiedCourse = pointsToFeature(simplifiedCourse, {
+			name: `${options.title || trackFeature.properties?.name || "Processed Route"} (simplified)`,
+		});
+	}
+
+	// Automatic splits, balanced by estimated riding time
+	if (options.autoSplits > 1) {
+		note(`finding ${options.autoSplits} auto splits...`);
+		options.splitAt = [
+			...(options.splitAt || []),
+			...findAutoSplits(
+				points,
+				options.autoSplits,
+				options.isLoop,
+				riderModel(options),
+			),
+		];
+	}
+
+	// Split the course into separate pieces, if requested: the pieces are
+	// returned with the full course, in its splits field
+	if (options.splitAt?.length) {
+		note("splitting course...");
+		const pieces = splitPoints(
+			points,
+			options.splitAt,
+			options.splitOverlap || 0,
+		);
+		const name =
+			options.title || trackFeature.properties?.name || "Processed Route";
+		processedFeature.splits = pieces.map((piece, k) =>
+			pointsToFeature(piece, {
+				name: `${name} (${k + 1} of ${pieces.length})`,
+			}),
+		);
+	}
 
 	return processedFeature;
 }
@@ -7,7 +7,21 @@ import { DOMParser } from "@xmldom/xmldom";
 import togpx from "togpx";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
-import { generateTabularOutput, processGPX } from "./js/process-gpx.js";
+import {
+	addGradientSummary,
+	addTrackPointExtensions,
+	addTrackPointTimes,
+	addTrackSegmentNames,
+	buildGPXMetadata,
+	segmentTrackFeature,
+} from "./js/gpx-export.js";
+import {
+	generateTabularOutput,
+	getTracks,
+	joinTracks,
+	processGPX,
+	selectTrack,
+} from "./js/process-gpx.js";
 import { formatXML } from "./js/xml-formatter.js";
 
 /**
@@ -25,8 +39,9 @@ globalThis.debugDumper = (points, filename) => {
 
 	// Extract stage information for naming
 	let stageName = "debug";
-	if (filename.match(/^(\d+)-js-(.+)\.txt$/)) {
-		const [, stageNum, stageDesc] = filename.match(/^(\d+)-js-(.+)\.txt$/);
+	const match = filename.match(/^(\d+[a-z]?)-js-(.+)\.txt$/);
+	if (match) {
+		const [, stageNum, stageDesc] = match;
 		stageName = `stage-${stageNum}-${stageDesc}`;
 	}
 
@@ -95,6 +110,7 @@ function setupYargsParser() {
 			copyPoint: { type: "boolean", default: false, alias: ["closed"] },
 			csv: { type: "boolean", default: false },
 			fixCrossings: { type: "boolean", default: undefined },
+			flattenInterpolate: { type: "boolean", default: false },
 			loop: { type: "boolean", default: false, alias: ["lap"] },
 			loopLeft: { type: "boolean", default: false, alias: ["loopL"] },
 			loopRight: { type: "boolean", default: false, alias: ["loopR"] },
@@ -156,6 +172,8 @@ function setupYargsParser() {
 			gAutoSmooth: { type: "number", default: 0, alias: ["autoSmoothG"] },
 			gSigma: { type: "number", default: 0, alias: ["sigmag", "smoothG"] },
 			gradientPower: { type: "number", default: 2 },
+			gradientSignHysteresis: { type: "number", default: 1 },
+			gradientSignThreshold: { type: "number", default: 2 },
 			gradientThreshold: { type: "number", default: 100 },
 			laneShift: { type: "number" },
 			lAutoSmooth: { type: "number", default: 0, alias: ["autoSmoothL"] },
@@ -171,6 +189,13 @@ function setupYargsParser() {
 			prunedg: { type: "number", default: 0.0005, alias: ["pruneGradient"] },
 			rCrossings: { type: "number", default: 6 },
 			repeat: { type: "number", default: 0 },
+			riderCdA: { type: "number", alias: ["CdA"] },
+			riderCornerAccel: { type: "number" },
+			riderCrr: { type: "number", alias: ["Crr"] },
+			riderFTP: { type: "number", alias: ["FTP"] },
+			riderMass: { type: "number", alias: ["mass"] },
+			riderMaxSpeed: { type: "number" },
+			riderPower: { type: "number", alias: ["power"] },
 			rLap: { type: "number" },
 			rTurnaround: { type: "number" },
 			rUTurn: { type: "number" },
@@ -201,6 +226,7 @@ function setupYargsParser() {
 			splineMaxRatio: { type: "number", default: 3 },
 			splineStart: { type: "number" },
 			splitNumber: { type: "number" },
+			splitOverlap: { type: "number", default: 0 },
 			startCircuitDistance: {
 				type: "number",
 				default: -1,
@@ -225,6 +251,7 @@ function setupYargsParser() {
 			copyright: { type: "string" },
 			description: { type: "string" },
 			keywords: { type: "string" },
+			link: { type: "string", alias: ["url"] },
 			title: { type: "string", alias: ["name"] },
 			out: { type: "string", alias: "o" },
 			namedSegments: { type: "string", alias: ["segment", "segments"] },
@@ -265,7 +292,7 @@ function setupYargsParser() {
 				default: [],
 				alias: ["selectiveZSmooth"],
 			},
-			splitAt: { type: "array", default: [] },
+			splitAt: { type: "array", default: [], alias: ["splitDistance"] },
 			straight: { type: "array", default: [] },
 			straightStart: { type: "array", default: [] },
 			straightEnd: { type: "array", default: [], alias: ["straightStop"] },
@@ -361,21 +388,101 @@ function generateCSVOutput(processedRoute) {
 		return "track,segment\n";
 	}
 
-	// Convert coordinates to point objects
-	const points = coordinates.map((coord) => ({
+	// Convert coordinates to point objects, with segment numbers if there are
+	// named segments, and times and gradient signs if they were added
+	const segments =
+		processedRoute.properties?.coordinateProperties?.segments || [];
+	const times = processedRoute.properties?.coordinateProperties?.times;
+	const gradientSigns =
+		processedRoute.properties?.coordinateProperties?.gradientSigns;
+	const points = coordinates.map((coord, i) => ({
+		segment: segments[i] ?? 1,
 		lat: coord[1],
 		lon: coord[0],
 		ele: coord[2] || "",
+		...(times ? { time: times[i] ?? "" } : {}),
+		...(gradientSigns ? { gradientSign: gradientSigns[i] ?? "" } : {}),
 	}));
 
 	// Use common tabular output function with CSV defaults
 	return generateTabularOutput(points, {
 		separator: ",",
-		extraFields: ["track", "segment"],
-		extraValues: [1, 1],
+		extraFields: ["track"],
+		extraValues: [1],
 	});
 }
 
+/**
+ * Generate CSV output from the crossings found by the fixCrossings stage: the
+ * distances of the two passes, the crossing position, the altitudes of both
+ * passes before and after adjustment, and the crossing angle in degrees
+ */
+function generateCSVCrossings(crossings) {
+	if (crossings.length === 0) {
+		return "distance1,distance2,lat,lon,ele1Original,ele2Original,ele1,ele2,angle\n";
+	}
+	return generateTabularOutput(crossings, { separator: "," });
+}
+
+/**
+ * Generate CSV output from the gradient sign summary: the number, distance and
+ * altitude change of the climbs, descents and flat runs
+ */
+function generateCSVGradientSummary(summary) {
+	const runs = Object.entries(summary).map(([type, run]) => ({
+		type,
+		count: run.count,
+		distance: run.distance.toFixed(1),
+		elevation: run.elevation.toFixed(1),
+	}));
+	return generateTabularOutput(runs, { separator: "," });
+}
+
+/**
+ * Write a processed route as GPX or, with the csv option, CSV
+ */
+function writeRoute(route, outputFile, options) {
+	if (options.csv) {
+		// CSV output
+		const csvContent = generateCSVOutput(route);
+		fs.writeFileSync(outputFile, csvContent);
+	} else {
+		// Convert processed GeoJSON back to GPX, with named segments as
+		// separate track segments
+		const { feature, names, times, gradientSigns } = segmentTrackFeature(route);
+		const gpxOutput = togpx(feature, {
+			creator: "processGPX-js-cli",
+			metadata: buildGPXMetadata({
+				name: route.properties?.name || "Processed Route",
+				description: options.description,
+				author: options.author,
+				copyright: options.copyright,
+				link: options.link,
+				keywords: options.newKeywords,
+			}),
+		});
+
+		// Format the XML with proper indentation and newlines
+		fs.writeFileSync(
+			outputFile,
+			formatXML(
+				addGradientSummary(
+					addTrackSegmentNames(
+						addTrackPointExtensions(
+							addTrackPointTimes(gpxOutput, times),
+							"gradientSign",
+							gradientSigns,
+						),
+						names,
+					),
+					route.properties?.gradientSummary,
+				),
+			),
+		);
+	}
+	console.log(`Successfully created ${outputFile}`);
+}
+
 /**
  * Process a GPX file with given options
  */
@@ -394,14 +501,11 @@ export async function processGpxFile(inputFile, options) {
 			throw new Error("No tracks found in GPX file");
 		}
 
-		// Find the first LineString feature (track)
-		const trackFeature = geoJson.features.find(
-			(feature) => feature.geometry && feature.geometry.type === "LineString",
-		);
-
-		if (!trackFeature) {
-			throw new Error("No track LineString found in GPX file");
-		}
+		// Join the requested tracks, else select a single track
+		const tracks = getTracks(geoJson);
+		const trackFeature = options.join?.length
+			? joinTracks(tracks, options.join)
+			: selectTrack(tracks, options.selectedTrack ?? 0);
 
 		// If track has no name, use filename without .gpx extension
 		if (!trackFeature.properties || !trackFeature.properties.name) {
@@ -417,18 +521,6 @@ export async function processGpxFile(inputFile, options) {
 		const processedRoute = processGPX(trackFeature, options);
 		console.log("Processing complete.");
 
-		// Convert processed GeoJSON back to GPX
-		const gpxOutput = togpx(processedRoute, {
-			creator: "processGPX-js-cli",
-			metadata: {
-				name: processedRoute.properties?.name || "Processed Route",
-				time: new Date(),
-			},
-		});
-
-		// Format the XML with proper indentation and newlines
-		const formattedGpxOutput = formatXML(gpxOutput);
-
 		// Generate output filename and write output file
 		let outputFile;
 		if (options.outFile) {
@@ -447,18 +539,68 @@ export async function processGpxFile(inputFile, options) {
 			}
 		}
 
-		if (options.csv) {
-			// CSV output
-			const csvContent = generateCSVOutput(processedRoute);
-			fs.writeFileSync(outputFile, csvContent);
-			console.log(`Successfully created ${outputFile}`);
-		} else {
-			// GPX output
-			fs.writeFileSync(outputFile, formattedGpxOutput);
-			console.log(`Successfully created ${outputFile}`);
+		writeRoute(processedRoute, outputFile, options);
+
+		// Split pieces are written to numbered files: name_1.gpx, name_2.gpx, ...
+		const splitFiles = [];
+		if (processedRoute.splits) {
+			const ext = path.extname(outputFile);
+			const base = outputFile.slice(0, outputFile.length - ext.length);
+			processedRoute.splits.forEach((split, k) => {
+				const splitFile = `${base}_${k + 1}${ext}`;
+				writeRoute(split, splitFile, options);
+				splitFiles.push(splitFile);
+			});
+		}
+
+		// Crossings report, next to the output file: name_crossings.csv
+		let crossingsFile;
+		if (options.saveCrossingsCSV) {
+			if (processedRoute.crossings) {
+				const ext = path.extname(outputFile);
+				crossingsFile = `${outputFile.slice(0, outputFile.length - ext.length)}_crossings.csv`;
+				fs.writeFileSync(
+					crossingsFile,
+					generateCSVCrossings(processedRoute.crossings),
+				);
+				console.log(`Successfully created ${crossingsFile}`);
+			} else {
+				console.warn("Warning: saveCrossingsCSV requires fixCrossings");
+			}
+		}
+
+		// Gradient sign summary, next to the output file: name_gradientSummary.csv
+		let gradientSummaryFile;
+		if (processedRoute.properties?.gradientSummary) {
+			const ext = path.extname(outputFile);
+			gradientSummaryFile = `${outputFile.slice(0, outputFile.length - ext.length)}_gradientSummary.csv`;
+			fs.writeFileSync(
+				gradientSummaryFile,
+				generateCSVGradientSummary(processedRoute.properties.gradientSummary),
+			);
+			console.log(`Successfully created ${gradientSummaryFile}`);
+		}
+
+		// Simplified course searched for crossings: name_simplified.gpx
+		let simplifiedFile;
+		if (options.saveSimplifiedCourse) {
+			if (processedRoute.simplifiedCourse) {
+				const ext = path.extname(outputFile);
+				simplifiedFile = `${outputFile.slice(0, outputFile.length - ext.length)}_simplified${ext}`;
+				writeRoute(processedRoute.simplifiedCourse, simplifiedFile, options);
+			} else {
+				console.warn("Warning: saveSimplifiedCourse requires fixCrossings");
+			}
 		}
 
-		return { processedRoute, outputFile };
+		return {
+			processedRoute,
+			outputFile,
+			splitFiles,
+			crossingsFile,
+			simplifiedFile,
+			gradientSummaryFile,
+		};
 	} catch (error) {
 		console.error(`Error: ${error.message}`);
 		console.error("Stack trace:");